@@ -12,16 +12,5 @@ export default [
             nodeResolve(),
             commonjs()
         ]
-    },
-    {
-        input: 'src/sha1.js',
-        output: {
-            file: 'src/sha1-esm.js',
-            format: 'esm'
-        },
-        plugins: [
-            nodeResolve(),
-            commonjs()
-        ]
     }
 ]
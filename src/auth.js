@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Signed credentials for Channelstream requests.
+ *
+ * Builds a mutator that asks a token provider (ChannelStreamSigner,
+ * ChannelStreamWebCryptoSigner or any function) for a fresh token every
+ * time a request or listening connection is created, so tokens never
+ * go stale between reconnections.
+ *
+ * @module auth
+ */
+
+import {appendQueryParam} from "./utils.js";
+
+/**
+ * Sets header of the request, replacing header with the same name.
+ * @param request {ChannelStreamRequest}
+ * @param name {string}
+ * @param value {string}
+ * @private
+ */
+function setHeader(request, name, value) {
+    if (!Array.isArray(request.headers)) {
+        request.headers = Object.assign({}, request.headers);
+        request.headers[name] = value;
+        return;
+    }
+    request.headers = request.headers.filter(function (header) {
+        return header.name.toLowerCase() !== name.toLowerCase();
+    });
+    request.headers.push({name: name, value: value});
+}
+
+/**
+ * Options of authentication mutators.
+ * @typedef {object} AuthOptions
+ * @property {string|null} [header='x-channelstream-secret'] Header carrying
+ * the token, `null` sends it in the query parameter instead
+ * @property {string} [queryParam='signature'] Query parameter carrying the
+ * token on listening connections (WebSocket, SSE and long-poll URLs, where
+ * headers can't be set) and on requests when `header` is `null`
+ */
+
+/**
+ * Creates mutator adding a fresh token to every request.
+ *
+ * The provider is either an object with `signRequest()` method or a
+ * function called with the request, both may return the token or
+ * a promise of it.
+ *
+ * @example
+ * let mutator = createAuthMutator(new ChannelStreamSigner('secret'));
+ * conn.addMutator('connect', mutator);
+ *
+ * @param provider {object|function} Token provider
+ * @param [options] {AuthOptions}
+ * @returns {function(ChannelStreamRequest): (Promise|undefined)}
+ */
+export function createAuthMutator(provider, options) {
+    options = options || {};
+    let header = typeof options.header !== 'undefined' ? options.header : 'x-channelstream-secret';
+    let queryParam = options.queryParam || 'signature';
+    return function (request) {
+        let apply = function (token) {
+            if (header && request.type !== 'listen') {
+                setHeader(request, header, token);
+            } else {
+                request.url = appendQueryParam(request.url, queryParam, token);
+            }
+        };
+        let token = typeof provider === 'function' ? provider(request) : provider.signRequest();
+        if (token && typeof token.then === 'function') {
+            return token.then(apply);
+        }
+        apply(token);
+    };
+}
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Coalescing of outgoing messages.
+ *
+ * Collects `message()` calls made within a short window (or until a size
+ * limit is reached) and sends them as a single request carrying an array,
+ * while every call still gets its own promise settled with the result
+ * of its message.
+ *
+ * @module batch
+ */
+
+/**
+ * Collects messages and sends them in batches.
+ *
+ * @example
+ * let batch = new ChannelStreamMessageBatch(function (bodies, keys) {
+ *     return sendArray(bodies); // promise of per-message results
+ * }, {window: 50, maxSize: 20});
+ * batch.add({channel: 'lobby', message: {x: 1}}).then(console.log);
+ */
+export class ChannelStreamMessageBatch {
+
+    /**
+     * @param send {function(object[], string[], object=): Promise<Array>} Sends
+     * message bodies with their idempotency keys and flush options, resolves
+     * with one result per message: a value (or promise) resolving the
+     * message's promise or an Error rejecting it
+     * @param [options] {object}
+     * @param [options.window=50] {number} Milliseconds messages are collected
+     * after the first one, 0 sends them at the end of the current task
+     * @param [options.maxSize=20] {number} Number of messages sent immediately
+     */
+    constructor(send, options) {
+        options = options || {};
+        this.send = send;
+        /** Milliseconds messages are collected after the first one. */
+        this.window = typeof options.window === 'number' ? options.window : 50;
+        /** Number of messages sent immediately. */
+        this.maxSize = options.maxSize || 20;
+        this._items = [];
+        this._timer = null;
+    }
+
+    /**
+     * Number of messages waiting to be sent.
+     * @returns {number}
+     */
+    get size() {
+        return this._items.length;
+    }
+
+    /**
+     * Adds message to the current batch.
+     * @param body {object} Message payload
+     * @param [key] {string} Idempotency key of the message
+     * @returns {Promise<*>} Settled with the result of the message
+     */
+    add(body, key) {
+        let promise = new Promise(function (resolve, reject) {
+            this._items.push({body: body, key: key || null, resolve: resolve, reject: reject});
+        }.bind(this));
+        if (this._items.length >= this.maxSize) {
+            this.flush();
+        } else if (!this._timer) {
+            this._timer = setTimeout(this.flush.bind(this), this.window);
+        }
+        return promise;
+    }
+
+    /**
+     * Sends collected messages now.
+     * @param [options] {object} Passed to `send`
+     * @returns {Promise} Resolves once the results of the batch are known
+     */
+    flush(options) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        let items = this._items;
+        this._items = [];
+        if (!items.length) {
+            return Promise.resolve();
+        }
+        let bodies = items.map(function (item) {
+            return item.body;
+        });
+        let keys = items.map(function (item) {
+            return item.key;
+        });
+        // sent synchronously, so flushing on page unload starts the request in time
+        let sent;
+        try {
+            sent = Promise.resolve(this.send(bodies, keys, options));
+        } catch (exc) {
+            sent = Promise.reject(exc);
+        }
+        return sent.then(function (results) {
+            items.forEach(function (item, index) {
+                let result = results[index];
+                if (result instanceof Error) {
+                    item.reject(result);
+                } else {
+                    item.resolve(result);
+                }
+            });
+        }, function (error) {
+            for (let item of items) {
+                item.reject(error);
+            }
+        });
+    }
+}
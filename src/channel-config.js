@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Validation of Channelstream channel configuration.
+ *
+ * Channel options are checked before they are sent to the server's
+ * `/channel_config` endpoint, so typos and wrong types fail early with
+ * ChannelStreamConfigError instead of being ignored by the server.
+ *
+ * @module channel-config
+ */
+
+/**
+ * Configurable channel options and their types.
+ * @enum {string}
+ */
+export const ChannelConfigOptions = {
+    /** Send `presence` messages when users join or leave. */
+    notify_presence: 'boolean',
+    /** Keep recent messages in channel history. */
+    store_history: 'boolean',
+    /** Number of messages kept in history. */
+    history_size: 'integer',
+    /** Include list of present users in `presence` messages. */
+    broadcast_presence_with_user_lists: 'boolean',
+    /** Send `user_state_change` messages when state of present users changes. */
+    notify_state: 'boolean'
+};
+
+/**
+ * Error describing invalid channel configuration.
+ */
+export class ChannelStreamConfigError extends Error {
+
+    /**
+     * @param message {string} Error description
+     * @param channel {string} Channel name
+     * @param option {string} Offending option
+     * @param value {*} Offending value
+     */
+    constructor(message, channel, option, value) {
+        super(message);
+        this.name = 'ChannelStreamConfigError';
+        /** Channel name. */
+        this.channel = channel;
+        /** Offending option. */
+        this.option = option;
+        /** Offending value. */
+        this.value = value;
+    }
+}
+
+/**
+ * Checks that configuration contains only known options of correct types.
+ * @param channel {string} Channel name, used in error messages
+ * @param config {object} Channel options
+ * @returns {object} Copy of the configuration
+ * @throws {ChannelStreamConfigError}
+ */
+export function validateChannelConfig(channel, config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ChannelStreamConfigError(
+            'Configuration of channel "' + channel + '" must be an object', channel, null, config);
+    }
+    for (let option of Object.keys(config)) {
+        let value = config[option];
+        if (!Object.prototype.hasOwnProperty.call(ChannelConfigOptions, option)) {
+            throw new ChannelStreamConfigError(
+                'Unknown option "' + option + '" of channel "' + channel + '"', channel, option, value);
+        }
+        let type = ChannelConfigOptions[option];
+        let valid = type === 'integer' ? Number.isInteger(value) && value >= 0 : typeof value === type;
+        if (!valid) {
+            throw new ChannelStreamConfigError(
+                'Option "' + option + '" of channel "' + channel + '" must be ' +
+                (type === 'integer' ? 'a non-negative integer' : 'a ' + type), channel, option, value);
+        }
+    }
+    return Object.assign({}, config);
+}
+
+/**
+ * Extracts configuration from channel information returned by the server.
+ * @param channelInfo {object} Channel entry of `channels` in server response
+ * @returns {object} Channel options
+ */
+export function pickChannelConfig(channelInfo) {
+    let config = {};
+    for (let option of Object.keys(ChannelConfigOptions)) {
+        if (channelInfo && typeof channelInfo[option] !== 'undefined') {
+            config[option] = channelInfo[option];
+        }
+    }
+    return config;
+}
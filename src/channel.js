@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Per-channel handles for ChannelStreamConnection.
+ *
+ * A channel handle receives only the messages of its channel, so features
+ * don't need to filter the whole listen stream by `message.channel`.
+ *
+ * @module channel
+ */
+
+import {ChannelStreamEmitter} from "./emitter.js";
+
+/**
+ * Maps server message types to events emitted by channel handles.
+ * @private
+ */
+const MESSAGE_EVENTS = {
+    'message': 'message',
+    'message:edit': 'edit',
+    'message:delete': 'delete',
+    'presence': 'presence',
+    'user_state_change': 'userStateChange'
+};
+
+/**
+ * Handle for a single channel, obtained with `connection.channel(name)`.
+ *
+ * Events:
+ * - `message` - new message posted to the channel
+ * - `edit` - message was edited
+ * - `delete` - message was deleted
+ * - `presence` - user joined or left the channel
+ * - `userStateChange` - state of user present in the channel changed
+ * - `history` (page) - page of channel history was received
+ * - `unsubscribed` - channel was left, all listeners are removed afterwards
+ *
+ * @example
+ * let lobby = conn.channel('lobby');
+ * lobby.on('message', (message) => console.log(message.message));
+ * await lobby.subscribe();
+ */
+export class ChannelStreamChannel extends ChannelStreamEmitter {
+
+    /**
+     * @param connection {ChannelStreamConnection} Connection owning the handle
+     * @param name {string} Channel name
+     */
+    constructor(connection, name) {
+        super();
+        /** Connection owning the handle. */
+        this.connection = connection;
+        /** Channel name. */
+        this.name = name;
+    }
+
+    /**
+     * Whether the connection is currently subscribed to the channel.
+     * @returns {boolean}
+     */
+    get subscribed() {
+        return this.connection.channels.indexOf(this.name) !== -1;
+    }
+
+    /**
+     * Presence model of the channel.
+     * @returns {ChannelStreamPresence}
+     */
+    get presence() {
+        return this.connection.presence(this.name);
+    }
+
+    /**
+     * Message store of the channel.
+     * @returns {ChannelStreamMessageStore}
+     */
+    get store() {
+        return this.connection.messageStore(this.name);
+    }
+
+    /**
+     * Subscribes connection to the channel via `subscribeUrl`.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object|null>}
+     */
+    subscribe(options) {
+        return this.connection.subscribe([this.name], options);
+    }
+
+    /**
+     * Unsubscribes connection from the channel via `unsubscribeUrl`.
+     * Listeners of the handle are removed once the channel is left.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    unsubscribe(options) {
+        return this.connection.unsubscribe([this.name], options);
+    }
+
+    /**
+     * Requests older history of the channel, see
+     * ChannelStreamConnection.fetchHistory().
+     * @param [options] {object} Paging options (`before`, `limit`) and RequestOptions
+     * @returns {Promise<HistoryPage>}
+     */
+    fetchHistory(options) {
+        return this.connection.fetchHistory(this.name, options);
+    }
+
+    /**
+     * Emits event matching the type of message received for the channel.
+     * @param message {object} Message received from the server
+     * @private
+     */
+    _dispatch(message) {
+        let eventName = MESSAGE_EVENTS[message.type];
+        if (eventName) {
+            this._emit(eventName, message);
+        }
+    }
+
+    /**
+     * Emits `history` event with page of channel history.
+     * @param page {HistoryPage}
+     * @private
+     */
+    _dispatchHistory(page) {
+        this._emit('history', page);
+    }
+
+    /**
+     * Emits `unsubscribed` event and removes all listeners.
+     * @private
+     */
+    _close() {
+        this._emit('unsubscribed', this.name);
+        this.off();
+    }
+}
@@ -2,16 +2,115 @@
  * @fileoverview Channelstream client library for real-time messaging.
  *
  * This module provides a client for connecting to Channelstream servers,
- * supporting WebSocket connections with automatic long-polling fallback.
+ * supporting WebSocket connections with automatic Server-Sent Events and
+ * long-polling fallback.
  * Features include:
- * - Automatic reconnection with exponential backoff (up to 60 seconds)
- * - Heartbeat mechanism to maintain connection
- * - Request mutator system for customizing outgoing requests
- * - Channel subscription management
+ * - Connection state machine with pluggable reconnection strategy
+ *   (exponential backoff with jitter by default)
+ * - Heartbeat mechanism to maintain connection and detect dead sockets
+ * - Network and page visibility awareness (browser online/offline events)
+ * - Per-request-type retry policies with idempotency keys
+ * - Pluggable wire codec (JSON or MessagePack) for requests and frames
+ * - Request mutator system for customizing outgoing requests, with
+ *   built-in signed token authentication
+ * - Channel subscription management with per-channel handles
+ * - Optional outbound queue replaying messages sent while offline
+ * - Optional batching of outgoing messages into single requests
+ * - Optimistic message changes reconciled with server echoes or rolled back
+ * - Message deduplication, per-channel ordering and gap recovery
+ * - Presence tracking of users in subscribed channels
+ * - Channel history from connect/subscribe and paginated history fetching
+ * - Optional per-channel message stores applying edits and deletes
+ * - Validation of received messages, malformed frames never break the stream
+ * - Event emitter API (`on()` / `off()` / `once()`) for all notifications
  *
  * @module channelstream
  */
 
+import {ChannelStreamEmitter} from "./emitter.js";
+import {ChannelStreamRequest, ChannelStreamRequestError} from "./request.js";
+import {ChannelStreamChannel} from "./channel.js";
+import {ChannelStreamDeliveryTracker, timestampValue} from "./delivery.js";
+import {applyPresence, ChannelStreamPresence, syncPresence} from "./presence.js";
+import {ChannelStreamMessageStore, ingestMessages} from "./store.js";
+import {ChannelStreamOptimisticTracker} from "./optimistic.js";
+import {decodeFrame} from "./messages.js";
+import {ExponentialBackoff, LinearBackoff} from "./reconnect.js";
+import {createAuthMutator} from "./auth.js";
+import {generateId, reportError} from "./utils.js";
+import {JSONCodec} from "./codec.js";
+import {ChannelStreamMessageBatch} from "./batch.js";
+
+/** WebSocket `readyState` value of an open socket. */
+const WEBSOCKET_OPEN = 1;
+
+/**
+ * Connection states exposed as `connection.state`.
+ * @enum {string}
+ */
+export const ConnectionState = {
+    /** connect() was not called yet. */
+    IDLE: 'idle',
+    /** connect() request is in progress. */
+    CONNECTING: 'connecting',
+    /** Listening connection is open. */
+    OPEN: 'open',
+    /** Connection was lost, waiting for the next reconnection attempt. */
+    RECONNECTING: 'reconnecting',
+    /** Connection was lost and no further attempts will be made. */
+    OFFLINE: 'offline',
+    /** Connection was closed by closeConnection() or disconnect(). */
+    CLOSED: 'closed'
+};
+
+/**
+ * Request types that can be held in the outbound queue, with the
+ * URL property, HTTP verb and internal handler used to send them.
+ * @private
+ */
+const OUTBOUND_REQUESTS = {
+    message: {url: 'messageUrl', verb: 'POST', handler: '_handleMessage'},
+    messageEdit: {url: 'messageEditUrl', verb: 'PATCH', handler: '_handleMessageEdit'},
+    messageDelete: {url: 'messageDeleteUrl', verb: 'DELETE', handler: '_handleMessageDelete'}
+};
+
+/**
+ * Returns request reported in events of a single batched message: the
+ * batch request with `body` holding just that message.
+ * @param request {ChannelStreamRequest} Batch request
+ * @param body {object} Message object
+ * @returns {ChannelStreamRequest}
+ * @private
+ */
+function batchedRequest(request, body) {
+    let view = Object.create(request);
+    view.body = body;
+    return view;
+}
+
+/**
+ * Options accepted by the request methods of ChannelStreamConnection.
+ * @typedef {object} RequestOptions
+ * @property {AbortSignal} [signal] Signal that cancels the request
+ * @property {number} [timeout] Timeout in milliseconds, overrides `requestTimeout`
+ * @property {boolean} [optimistic] Apply message(), edit() or delete() locally
+ * before the server confirms it, overrides `optimisticUpdates`
+ * @property {string} [idempotencyKey] Key identifying the operation, sent
+ * when the request type has a retry policy, generated when missing
+ * @property {boolean} [batch] Whether message() may be batched, overrides
+ * `batchMessages`; messages with a `signal` are never batched
+ * @property {boolean} [keepalive] Let the request outlive the page
+ */
+
+/**
+ * Page of channel history delivered by the `history` event.
+ * @typedef {object} HistoryPage
+ * @property {string} channel Channel name
+ * @property {object[]} messages Messages ordered from oldest to newest
+ * @property {string} source `connect`, `subscribe` or `fetch`
+ * @property {boolean|null} hasMore Whether older messages exist, null when unknown
+ */
+
 /**
  * Main Channelstream connection class.
  *
@@ -24,15 +123,23 @@
  * conn.websocketUrl = 'wss://example.com/ws';
  * conn.username = 'user123';
  * conn.channels = ['lobby', 'notifications'];
+ * conn.on('listenMessage', (messages) => console.log(messages));
  * conn.connect();
+ *
+ * Every `*Callback` method has a matching event named without the
+ * `Callback` suffix (`connectCallback` -> `connect`,
+ * `listenMessageCallback` -> `listenMessage`, etc.). Listeners receive
+ * the same arguments as the callback, overriding the callback methods
+ * keeps working.
  */
-export class ChannelStreamConnection {
+export class ChannelStreamConnection extends ChannelStreamEmitter {
 
     static get version() {
         return '0.1.1';
     }
 
     constructor() {
+        super();
         // --- Debug settings ---
         this.debug = false;
 
@@ -43,10 +150,16 @@ export class ChannelStreamConnection {
         this.username = 'Anonymous';
         /** Connection identifier returned by server after connect(). */
         this.connectionId = null;
-        /** WebSocket instance (null when using long-polling). */
+        /** WebSocket instance (null when using SSE or long-polling). */
         this.websocket = null;
+        /** EventSource instance (null unless using Server-Sent Events). */
+        this.eventSource = null;
+        /** Name of the transport used for listening (`websocket`, `sse`, `longpoll`). */
+        this.transport = null;
         /** Whether currently connected to the server. */
         this.connected = false;
+        /** Current ConnectionState, read through `state`. */
+        this._state = ConnectionState.IDLE;
 
         // --- Endpoint URLs (must be configured before connect()) ---
         /** WebSocket connection URL (e.g., 'wss://example.com/ws'). */
@@ -67,7 +180,11 @@ export class ChannelStreamConnection {
         this.messageEditUrl = '';
         /** URL used in `deleteMessage()`. */
         this.messageDeleteUrl = '';
-        /** Long-polling connection URL (fallback when WebSocket unavailable). */
+        /** URL used in `fetchHistory()`. */
+        this.historyUrl = '';
+        /** Server-Sent Events connection URL (fallback when WebSocket unavailable). */
+        this.sseUrl = '';
+        /** Long-polling connection URL (fallback when WebSocket and SSE unavailable). */
         this.longPollUrl = '';
 
         // --- Reconnection settings ---
@@ -75,20 +192,102 @@ export class ChannelStreamConnection {
         this.shouldReconnect = true;
         /** Whether to send periodic heartbeats to keep connection alive. */
         this.heartbeats = true;
-        /** Reconnection backoff increment in milliseconds. */
-        this.increaseBounceIv = 2000;
-        /** Current reconnection interval (increases with each retry). */
-        this._currentBounceIv = 0;
+        /** Interval between heartbeats in milliseconds. */
+        this.heartbeatInterval = 10000;
+        /**
+         * Number of heartbeat intervals without any inbound traffic after
+         * which the socket is considered dead, closed and reconnected.
+         * 0 disables the detection (for servers not answering heartbeats
+         * on quiet channels).
+         */
+        this.heartbeatMaxMissed = 0;
+        /** Heartbeat interval timer. */
+        this._heartbeat = null;
+        /** Time of last frame received over WebSocket. */
+        this._lastInbound = 0;
+
+        // --- Network and page visibility ---
+        /**
+         * React to browser `online`/`offline` events: stop reconnecting while
+         * offline and reconnect immediately when the network returns.
+         */
+        this.networkAware = true;
+        /** Suspend heartbeats and long-polling while the page is hidden. */
+        this.suspendWhenHidden = false;
+        /** Time in milliseconds the page has to stay hidden before suspending. */
+        this.hiddenGracePeriod = 60000;
+        /** Whether heartbeats/long-polling are suspended because the page is hidden. */
+        this.suspended = false;
+        /** Whether the browser reported the network as unavailable. */
+        this._networkOffline = false;
+        /** Environment listeners bound by connect(), null when not bound. */
+        this._environmentListeners = null;
+        /** Timer suspending the connection after `hiddenGracePeriod`. */
+        this._hiddenTimer = null;
+        /**
+         * Strategy deciding delays between reconnection attempts and when
+         * to give up, any object with `next()` and `reset()` methods
+         * (see ExponentialBackoff and LinearBackoff).
+         */
+        this.reconnectStrategy = new ExponentialBackoff();
+        /** Timer of scheduled reconnection attempt. */
+        this._reconnectTimer = null;
         /** Force long-polling instead of WebSocket if true. */
         this.noWebsocket = false;
+        /**
+         * Listening transports in order of preference. When a transport is
+         * unavailable or fails before opening, the next one is used, lost
+         * connections start again from the first one.
+         */
+        this.transports = ['websocket', 'sse', 'longpoll'];
+        /** Index of transport in `transports` tried first on next connect. */
+        this._transportIndex = 0;
+        /** Whether current listening connection was opened successfully. */
+        this._listenOpened = false;
+        /** Request describing the listening connection being opened. */
+        this._listenRequest = null;
+
+        // --- Request settings ---
+        /** Default timeout for AJAX requests in milliseconds, 0 disables it. */
+        this.requestTimeout = 0;
+        /** fetch() credentials mode used for AJAX requests. */
+        this.credentials = 'same-origin';
+        /**
+         * Codec of request bodies, responses and WebSocket frames
+         * (JSONCodec or MessagePackCodec). SSE frames are always JSON.
+         */
+        this.codec = new JSONCodec();
+        /**
+         * RetryPolicy objects keyed by request type (`connect`, `subscribe`,
+         * `message`, etc.), types without a policy are not retried.
+         * Listening connections are reopened by `reconnectStrategy` instead.
+         */
+        this.retryPolicies = {};
+        /** Header carrying idempotency key of requests with a retry policy, null disables it. */
+        this.idempotencyHeader = 'Idempotency-Key';
+
+        // --- Transport implementations ---
+        /**
+         * WebSocket constructor used for listening connections, defaults to
+         * the global `WebSocket` (e.g. pass the `ws` package in Node.js).
+         */
+        this.websocketImpl = null;
+        /** EventSource constructor used for SSE connections, defaults to the global `EventSource`. */
+        this.eventSourceImpl = null;
+        /** fetch() implementation used for AJAX requests, defaults to the global `fetch`. */
+        this.fetchImpl = null;
 
         /**
          * Mutators are functions that transform request data before sending.
          * Use addMutator() to register functions for specific request types.
          * Mutators execute in registration order, allowing request customization
          * (e.g., adding authentication headers, modifying payloads).
+         * Mutators returning a promise delay the request until it resolves.
+         * `listen` mutators receive requests describing WebSocket, SSE and
+         * long-poll connections, only their `url` is used for WebSocket and SSE.
          */
         this.mutators = {
+            listen: [],
             connect: [],
             message: [],
             messageEdit: [],
@@ -96,28 +295,200 @@ export class ChannelStreamConnection {
             subscribe: [],
             unsubscribe: [],
             disconnect: [],
-            userState: []
+            userState: [],
+            history: []
         }
+
+        /** Channel handles created by channel(), keyed by channel name. */
+        this._channelHandles = new Map();
+
+        /**
+         * Optional ChannelStreamOutboundQueue. When set, `message()`, `edit()`
+         * and `delete()` calls made while disconnected or failing with
+         * network errors are queued and replayed after reconnecting.
+         */
+        this.outboundQueue = null;
+        /** Delays of replays retrying operations queued on network errors while connected. */
+        this._queueBackoff = new ExponentialBackoff();
+        /** Timer of scheduled outbound queue replay. */
+        this._queueFlushTimer = null;
+
+        /**
+         * Apply `message()`, `edit()` and `delete()` calls locally before
+         * the server confirms them, see the `optimisticUpdate` event.
+         */
+        this.optimisticUpdates = false;
+        /** Optimistic changes waiting for the server echo. */
+        this._optimistic = new ChannelStreamOptimisticTracker();
+
+        /**
+         * Send `message()` calls made within `batchWindow` as one request
+         * carrying an array of messages. The backend responds with an array
+         * of per-message results, results with an `error` field reject
+         * their message.
+         */
+        this.batchMessages = false;
+        /** Milliseconds `message()` calls are collected into one batch. */
+        this.batchWindow = 50;
+        /** Number of messages sending the batch without waiting for `batchWindow`. */
+        this.batchMaxSize = 20;
+        /** Batch collecting messages, created on first batched message. */
+        this._batch = null;
+
+        // --- Message delivery ---
+        /** Drop received messages whose `uuid` was already delivered. */
+        this.deduplicateMessages = true;
+        /** Deliver received messages of each channel in timestamp order. */
+        this.orderMessages = true;
+        /**
+         * After reconnecting, deliver messages missed during the outage
+         * using channel history returned by connect(), or fetched from
+         * `historyUrl` when that does not reach back far enough. Gaps are
+         * reported through `messageGap` either way.
+         */
+        this.recoverGaps = false;
+        /** Tracks delivered messages for deduplication and gap detection. */
+        this._delivery = new ChannelStreamDeliveryTracker();
+        /** Frames received while missed messages are fetched, or null. */
+        this._heldFrames = null;
+
+        /** Presence models created by presence(), keyed by channel name. */
+        this._presence = new Map();
+
+        /** Timestamp of oldest history message received, keyed by channel name. */
+        this._historyCursors = new Map();
+
+        /** Number of newest messages kept by stores created with messageStore(), 0 keeps all. */
+        this.messageStoreSize = 200;
+        /** Message stores created by messageStore(), keyed by channel name. */
+        this._messageStores = new Map();
+    }
+
+    /**
+     * Returns handle for the channel that receives only its messages.
+     * The same handle is returned until the channel is left.
+     * @param name {string} Channel name
+     * @returns {ChannelStreamChannel}
+     */
+    channel(name) {
+        if (!this._channelHandles.has(name)) {
+            this._channelHandles.set(name, new ChannelStreamChannel(this, name));
+        }
+        return this._channelHandles.get(name);
+    }
+
+    /**
+     * Current connection state, one of ConnectionState values.
+     * @returns {string}
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Delay increment of linear reconnection backoff, null when
+     * `reconnectStrategy` is not a LinearBackoff.
+     * @deprecated Set `reconnectStrategy` to LinearBackoff instead
+     * @returns {number|null}
+     */
+    get increaseBounceIv() {
+        return this.reconnectStrategy instanceof LinearBackoff ? this.reconnectStrategy.increment : null;
+    }
+
+    /**
+     * Replaces `reconnectStrategy` with LinearBackoff growing by the
+     * given number of milliseconds up to 60 seconds.
+     * @deprecated Set `reconnectStrategy` to LinearBackoff instead
+     * @param increment {number}
+     */
+    set increaseBounceIv(increment) {
+        this.reconnectStrategy = new LinearBackoff({increment: increment});
+    }
+
+    /**
+     * Changes connection state, notifying listeners about the transition.
+     * @param state {string} New ConnectionState value
+     * @private
+     */
+    _setState(state) {
+        let previous = this._state;
+        if (previous === state) {
+            return;
+        }
+        this._state = state;
+        this._notify('stateChange', state, previous);
+    }
+
+    /**
+     * Fired when connection state changes
+     * @param state {string} New state
+     * @param previous {string} Previous state
+     */
+    stateChangeCallback(state, previous) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('stateChangeCallback', state, previous);
+    }
+
+    /**
+     * Returns presence model of the channel (users present and their state).
+     * @param name {string} Channel name
+     * @returns {ChannelStreamPresence}
+     */
+    presence(name) {
+        if (!this._presence.has(name)) {
+            this._presence.set(name, new ChannelStreamPresence(name));
+        }
+        return this._presence.get(name);
+    }
+
+    /**
+     * Returns message store of the channel, created on first use. Only
+     * messages and history received afterwards are stored.
+     * @param name {string} Channel name
+     * @returns {ChannelStreamMessageStore}
+     */
+    messageStore(name) {
+        if (!this._messageStores.has(name)) {
+            this._messageStores.set(name, new ChannelStreamMessageStore(name, {maxSize: this.messageStoreSize}));
+        }
+        return this._messageStores.get(name);
     }
 
     /**
      * Sends AJAX call that creates user and fetches connection information
      * from the server.
      *
-     */
-    connect() {
-        let request = new ChannelStreamRequest();
-        request.url = this.connectUrl;
-        request.body = {
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
+     */
+    connect(options) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._bindEnvironment();
+        // reconnection attempts stay in reconnecting state until they succeed
+        if (this._state !== ConnectionState.RECONNECTING) {
+            this._setState(ConnectionState.CONNECTING);
+        }
+        let request = this._createRequest('connect', this.connectUrl, {
             username: this.username,
             channels: this.channels
-        };
-        for (let callable of this.mutators.connect) {
-            callable(request);
-        }
-        request.handleError = this._handleConnectError.bind(this);
-        request.handleResponse = this._handleConnect.bind(this);
-        request.execute();
+        }, options);
+        return this._executeRequest('connect', request, undefined,
+            this._handleConnect.bind(this), this._handleConnectError.bind(this));
+    }
+
+    /**
+     * Calls the `{name}Callback` method and emits `name` event
+     * with the same arguments.
+     * @param name {string} Notification name
+     * @param args {...*} Arguments passed to callback and listeners
+     * @private
+     */
+    _notify(name, ...args) {
+        this[name + 'Callback'](...args);
+        this._emit(name, ...args);
     }
 
     /**
@@ -131,64 +502,191 @@ export class ChannelStreamConnection {
         this.mutators[type].push(func);
     }
 
+    /**
+     * Removes mutator registered with addMutator().
+     * @param type {string} type of mutator function
+     * @param func {function} the registered callable
+     */
+    removeMutator(type, func) {
+        let index = this.mutators[type].indexOf(func);
+        if (index !== -1) {
+            this.mutators[type].splice(index, 1);
+        }
+    }
+
+    /**
+     * Adds fresh token from the provider to every request and listening
+     * connection, by registering an authentication mutator for all types.
+     *
+     * @example
+     * conn.addAuthProvider(new ChannelStreamSigner('secret'));
+     * conn.addAuthProvider(() => fetchToken(), {header: 'Authorization'});
+     *
+     * @param provider {object|function} Object with `signRequest()` method
+     * (e.g. ChannelStreamSigner) or function returning the token, either
+     * may return a promise
+     * @param [options] {AuthOptions} Where to put the token
+     * @returns {function} Function that removes the provider
+     */
+    addAuthProvider(provider, options) {
+        let mutator = createAuthMutator(provider, options);
+        let types = Object.keys(this.mutators);
+        for (let type of types) {
+            this.addMutator(type, mutator);
+        }
+        return function () {
+            for (let type of types) {
+                this.removeMutator(type, mutator);
+            }
+        }.bind(this);
+    }
+
+    /**
+     * Creates a request and runs all mutators registered for its type.
+     * @param type {string} Request/mutator type
+     * @param url {string} Target URL
+     * @param body {object} Request payload
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {ChannelStreamRequest}
+     * @private
+     */
+    _createRequest(type, url, body, options) {
+        options = options || {};
+        let request = new ChannelStreamRequest();
+        request.type = type;
+        request.url = url;
+        request.body = body;
+        request.credentials = this.credentials;
+        request.codec = this.codec;
+        request.fetch = this.fetchImpl;
+        request.timeout = typeof options.timeout !== 'undefined' ? options.timeout : this.requestTimeout;
+        request.signal = options.signal || null;
+        request.keepalive = !!options.keepalive;
+        let policy = type !== 'listen' && this.retryPolicies[type] || null;
+        if (policy) {
+            request.retry = policy;
+            if (policy.idempotencyKey !== false && this.idempotencyHeader) {
+                request.idempotencyKey = options.idempotencyKey || generateId();
+                request.headers.push({name: this.idempotencyHeader, value: request.idempotencyKey});
+            }
+        }
+        // asynchronous mutators run in parallel, the request waits for all
+        let pending = [];
+        for (let callable of this.mutators[type]) {
+            let result = callable(request);
+            if (result && typeof result.then === 'function') {
+                pending.push(result);
+            }
+        }
+        request.ready = pending.length ? Promise.all(pending) : null;
+        return request;
+    }
+
+    /**
+     * Executes the request and wraps the result in a Promise.
+     * Internal handlers (and therefore the `*Callback` methods and events)
+     * are still called, the promise resolves with the parsed server response
+     * or rejects with ChannelStreamRequestError.
+     *
+     * @param type {string} Request type reported in errors
+     * @param request {ChannelStreamRequest}
+     * @param verb {string} HTTP verb
+     * @param onResponse {function} Internal success handler
+     * @param [onError] {function} Internal error handler
+     * @param [onNetworkError] {function} Called instead of `onError` when
+     * the server could not be reached, the promise resolves with its result
+     * @returns {Promise<object>}
+     * @private
+     */
+    _executeRequest(type, request, verb, onResponse, onError, onNetworkError) {
+        let promise = new Promise((resolve, reject) => {
+            request.handleResponse = function (req, data) {
+                resolve(data);
+                onResponse(req, data);
+            };
+            request.handleError = function (req, data) {
+                if (onNetworkError && !req.status && !req.aborted && !req.timedOut) {
+                    resolve(onNetworkError());
+                    return;
+                }
+                reject(new ChannelStreamRequestError(type, req, data));
+                if (onError) {
+                    onError(req, data);
+                }
+            };
+            request.handleRetry = function (req, delay) {
+                this._notify('requestRetry', req, delay);
+            }.bind(this);
+            request.execute(verb);
+        });
+        // callback based integrations never consume the promise, mark the
+        // rejection as handled so it is not reported as unhandled;
+        // callers awaiting the returned promise still receive it
+        promise.catch(function () {
+        });
+        return promise;
+    }
+
+    /**
+     * Fired when failed request is going to be retried
+     * @param request {ChannelStreamRequest} Failed request, `attempts` holds the attempts made
+     * @param delay {number} Milliseconds before the next attempt
+     */
+    requestRetryCallback(request, delay) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('requestRetryCallback', request, delay);
+    }
+
     /**
      * Sends AJAX request to update user state.
      * @param stateObj {object}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
      */
-    updateUserState(stateObj) {
-        let request = new ChannelStreamRequest();
-        request.url = this.userStateUrl;
-        request.body = {
+    updateUserState(stateObj, options) {
+        let request = this._createRequest('userState', this.userStateUrl, {
             username: this.username,
             conn_id: this.connectionId,
             update_state: stateObj
-        };
-        for (let callable of this.mutators.userState) {
-            callable(request);
-        }
-        request.handleError = this._handleSetUserStateError.bind(this);
-        request.handleResponse = this._handleSetUserState.bind(this);
-        request.execute();
+        }, options);
+        return this._executeRequest('userState', request, undefined,
+            this._handleSetUserState.bind(this), this._handleSetUserStateError.bind(this));
     }
 
     /**
      * Subscribes user to channels.
      * @param channels {string[]} List of channels sent via POST to `subscribeUrl`.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object|null>} Resolves with the server response,
+     * or `null` when there was nothing to subscribe to
      */
-    subscribe(channels) {
-        let request = new ChannelStreamRequest();
-        request.url = this.subscribeUrl;
-        request.body = {
+    subscribe(channels, options) {
+        let request = this._createRequest('subscribe', this.subscribeUrl, {
             channels: channels,
             conn_id: this.connectionId
-        };
-        for (let callable of this.mutators.subscribe) {
-            callable(request);
-        }
-        request.handleError = this._handleSubscribeError.bind(this);
-        request.handleResponse = this._handleSubscribe.bind(this);
-        if (request.body.channels && request.body.channels.length) {
-            request.execute('POST');
+        }, options);
+        if (!request.body.channels || !request.body.channels.length) {
+            return Promise.resolve(null);
         }
+        return this._executeRequest('subscribe', request, 'POST',
+            this._handleSubscribe.bind(this), this._handleSubscribeError.bind(this));
     }
 
     /**
      * Unsubscribes user from channels.
      * @param channels {string[]} List of channels sent via POST to `unsubscribeUrl`.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
      */
-    unsubscribe(channels) {
-        let request = new ChannelStreamRequest();
-        request.url = this.unsubscribeUrl;
-        request.body = {
+    unsubscribe(channels, options) {
+        let request = this._createRequest('unsubscribe', this.unsubscribeUrl, {
             channels: channels,
             conn_id: this.connectionId
-        };
-        for (let callable of this.mutators.unsubscribe) {
-            callable(request);
-        }
-        request.handleError = this._handleUnsubscribeError.bind(this);
-        request.handleResponse = this._handleUnsubscribe.bind(this);
-        request.execute('POST');
+        }, options);
+        return this._executeRequest('unsubscribe', request, 'POST',
+            this._handleUnsubscribe.bind(this), this._handleUnsubscribeError.bind(this));
     }
 
     /**
@@ -203,200 +701,830 @@ export class ChannelStreamConnection {
                 toSubscribe.push(channel);
             }
         }
-        return toSubscribe;
+        return toSubscribe;
+    }
+
+    /**
+     * calculates list of channels we should remove user from based difference
+     * between channels property and passed channel list
+     * @param channels {string[]} List of channels to un-subscribe
+     */
+    calculateUnsubscribe(channels) {
+        if (!channels) {
+            channels = []
+        }
+        let toUnsubscribe = [];
+
+        for (let channel of channels) {
+            if (this.channels.indexOf(channel) !== -1) {
+                toUnsubscribe.push(channel);
+            }
+        }
+        return toUnsubscribe;
+    }
+
+    /**
+     * Marks the connection as expired via /disconnect API.
+     *
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
+     */
+    disconnect(options) {
+        // batched messages are sent before the connection goes away
+        this._flushBatch();
+        let request = this._createRequest('disconnect',
+            this.disconnectUrl + '?conn_id=' + this.connectionId, {
+                conn_id: this.connectionId
+            }, options);
+        let promise = this._executeRequest('disconnect', request, undefined,
+            this._handleDisconnect.bind(this));
+        this.closeConnection();
+        return promise;
+    }
+
+    /**
+     * Sends a POST to the web application backend.
+     * @param message {object} Message object sent via POST to `messageUrl`.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
+     */
+    message(message, options) {
+        return this._sendOutbound('message', message, options);
+    }
+
+    /**
+     * Sends a DELETE request to the web application backend.
+     * @param message {object} Message object sent to DELETE to `messageUrl`.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
+     */
+    delete(message, options) {
+        return this._sendOutbound('messageDelete', message, options);
+    }
+
+    /**
+     * Sends a PATCH request to the web application backend.
+     * @param message {object} Message object sent via PATCH to `messageUrl`.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>} Resolves with the server response
+     */
+    edit(message, options) {
+        return this._sendOutbound('messageEdit', message, options);
+    }
+
+    /**
+     * Requests a page of channel history from `historyUrl`, older than
+     * `options.before` or, by default, than the oldest history message
+     * received for the channel, so repeated calls page back in time.
+     *
+     * The endpoint receives `channel`, `before` (message timestamp or null),
+     * `limit` and `conn_id`, and responds with a list of messages or an
+     * object with `messages` and optional `has_more`.
+     *
+     * @param channel {string} Channel name
+     * @param [options] {object} RequestOptions and paging options
+     * @param [options.before] {string|number} Return messages older than this timestamp
+     * @param [options.limit=50] {number} Maximum number of messages
+     * @param [options.signal] {AbortSignal} Signal that cancels the request
+     * @param [options.timeout] {number} Timeout in milliseconds
+     * @returns {Promise<HistoryPage>} Resolves with the page, also
+     * delivered as `history` event
+     */
+    fetchHistory(channel, options) {
+        options = options || {};
+        let before = typeof options.before !== 'undefined' ? options.before : this._historyCursors.get(channel);
+        let request = this._createRequest('history', this.historyUrl, {
+            channel: channel,
+            before: typeof before !== 'undefined' ? before : null,
+            limit: options.limit || 50,
+            conn_id: this.connectionId
+        }, options);
+        let page = null;
+        return this._executeRequest('history', request, 'POST', function (req, data) {
+            page = this._historyResponsePage(req, data);
+            this._emitHistory(page);
+        }.bind(this), this._handleHistoryError.bind(this)).then(function () {
+            return page;
+        });
+    }
+
+    /**
+     * Sends message/edit/delete request, or adds it to `outboundQueue`
+     * when disconnected or the backend is unreachable.
+     * @param type {string} One of `message`, `messageEdit`, `messageDelete`
+     * @param body {object} Message object
+     * @param [options] {RequestOptions} Per-request options
+     * @param [queueItem] {object} Queue item being replayed
+     * @returns {Promise<object>}
+     * @private
+     */
+    _sendOutbound(type, body, options, queueItem) {
+        let config = OUTBOUND_REQUESTS[type];
+        let queue = queueItem ? null : this.outboundQueue;
+        let optimistic = options && typeof options.optimistic !== 'undefined' ?
+            options.optimistic : this.optimisticUpdates;
+        let change = null;
+        if (optimistic && !queueItem) {
+            change = this._applyOptimistic(type, body);
+            body = Object.assign({}, body, {client_id: change.clientId});
+        }
+        // queued and replayed attempts keep the key of the operation
+        let key = queueItem ? queueItem.idempotencyKey || queueItem.id :
+            (options && options.idempotencyKey) || generateId();
+        let batch = type === 'message' && !queueItem && !(options && options.signal) &&
+            (options && typeof options.batch !== 'undefined' ? options.batch : this.batchMessages);
+        let promise;
+        // operations wait behind queued ones so they reach the server in order
+        if (queue && (!this.connected || queue.size || queue.flushing)) {
+            promise = queue.add(type, body, key);
+            if (this.connected && !this._queueFlushTimer) {
+                this._flushOutboundQueue();
+            }
+        } else if (batch) {
+            promise = this._getBatch().add(body, key);
+        } else {
+            let request = this._createRequest(type, this[config.url], body,
+                Object.assign({}, options, {idempotencyKey: key}));
+            promise = this._executeRequest(type, request, config.verb,
+                this[config.handler].bind(this), this[config.handler + 'Error'].bind(this),
+                queue ? this._enqueueFailed.bind(this, type, body, key) : null);
+        }
+        if (change) {
+            // queued changes stay pending until replayed or dropped
+            promise.catch(function (error) {
+                this._rollbackOptimistic(change, error);
+            }.bind(this));
+        }
+        return promise;
+    }
+
+    /**
+     * Returns batch collecting messages, applying current batch settings.
+     * @returns {ChannelStreamMessageBatch}
+     * @private
+     */
+    _getBatch() {
+        if (!this._batch) {
+            this._batch = new ChannelStreamMessageBatch(this._sendBatch.bind(this));
+        }
+        this._batch.window = this.batchWindow;
+        this._batch.maxSize = this.batchMaxSize;
+        return this._batch;
+    }
+
+    /**
+     * Sends collected messages as one request to `messageUrl`. `message`
+     * or `messageError` is fired for every message with its own result.
+     * @param bodies {object[]} Message objects
+     * @param keys {string[]} Idempotency keys of the messages, used when
+     * they are moved to `outboundQueue`
+     * @param [options] {RequestOptions} Options of the flush
+     * @returns {Promise<Array>} Result of every message, ChannelStreamRequestError
+     * for messages rejected by the backend
+     * @private
+     */
+    _sendBatch(bodies, keys, options) {
+        let queue = this.outboundQueue;
+        let request = this._createRequest('message', this.messageUrl, bodies, options);
+        let onNetworkError = null;
+        let queued = false;
+        if (queue) {
+            onNetworkError = function () {
+                queued = true;
+                return bodies.map(function (body, index) {
+                    return this._enqueueFailed('message', body, keys[index]);
+                }.bind(this));
+            }.bind(this);
+        }
+        let report = function (handler, body, data) {
+            // listener exceptions must not change results of other messages
+            try {
+                handler.call(this, batchedRequest(request, body), data);
+            } catch (error) {
+                reportError(error);
+            }
+        }.bind(this);
+        return this._executeRequest('message', request, 'POST', function () {
+        }, function (req, data) {
+            for (let body of bodies) {
+                report(this._handleMessageError, body, data);
+            }
+        }.bind(this), onNetworkError).then(function (data) {
+            // promises of queued messages, events fire once they are replayed
+            if (queued) {
+                return data;
+            }
+            return bodies.map(function (body, index) {
+                // backends without per-message results answer for the whole batch
+                let result = Array.isArray(data) ? data[index] : data;
+                if (result && typeof result === 'object' && 'error' in result) {
+                    report(this._handleMessageError, body, result);
+                    return new ChannelStreamRequestError('message', batchedRequest(request, body),
+                        result, result.status || 400);
+                }
+                report(this._handleMessage, body, result);
+                return result;
+            }.bind(this));
+        }.bind(this));
+    }
+
+    /**
+     * Sends messages collected by the batch without waiting for `batchWindow`.
+     * @param [options] {RequestOptions}
+     * @private
+     */
+    _flushBatch(options) {
+        if (this._batch && this._batch.size) {
+            this._batch.flush(options);
+        }
+    }
+
+    /**
+     * Records optimistic change and shows it in the message store.
+     * @param type {string} One of `message`, `messageEdit`, `messageDelete`
+     * @param body {object} Message object
+     * @returns {OptimisticChange}
+     * @private
+     */
+    _applyOptimistic(type, body) {
+        let change = this._optimistic.add(type, body);
+        if (this._messageStores.has(change.channel)) {
+            this._messageStores.get(change.channel).applyOptimistic(change);
+        }
+        this._notify('optimisticUpdate', change);
+        return change;
+    }
+
+    /**
+     * Fired when message(), edit() or delete() is applied optimistically
+     * @param change {OptimisticChange}
+     */
+    optimisticUpdateCallback(change) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('optimisticUpdateCallback', change);
+    }
+
+    /**
+     * Settles optimistic changes echoed by the server.
+     * @param messages {object[]} Delivered messages
+     * @private
+     */
+    _confirmOptimistic(messages) {
+        if (!this._optimistic.size) {
+            return;
+        }
+        for (let message of messages) {
+            let change = this._optimistic.match(message);
+            if (!change) {
+                continue;
+            }
+            if (this._messageStores.has(change.channel)) {
+                this._messageStores.get(change.channel).confirmOptimistic(change, message);
+            }
+            this._notify('optimisticConfirm', change, message);
+        }
+    }
+
+    /**
+     * Fired when the server echoes optimistic change
+     * @param change {OptimisticChange}
+     * @param message {object} Message received from the server
+     */
+    optimisticConfirmCallback(change, message) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('optimisticConfirmCallback', change, message);
+    }
+
+    /**
+     * Reverts optimistic change whose request failed.
+     * @param change {OptimisticChange}
+     * @param error {Error}
+     * @private
+     */
+    _rollbackOptimistic(change, error) {
+        // the echo may arrive before the request fails (e.g. timeout)
+        if (!this._optimistic.remove(change)) {
+            return;
+        }
+        if (this._messageStores.has(change.channel)) {
+            this._messageStores.get(change.channel).rollbackOptimistic(change);
+        }
+        this._notify('optimisticRollback', change, error);
+    }
+
+    /**
+     * Fired when optimistic change is reverted because its request failed
+     * @param change {OptimisticChange} Change with the original payload in `body`
+     * @param error {Error} ChannelStreamRequestError or reason the queued item was dropped
+     */
+    optimisticRollbackCallback(change, error) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('optimisticRollbackCallback', change, error);
+    }
+
+    /**
+     * Replays operations held in `outboundQueue`.
+     * @private
+     */
+    _flushOutboundQueue() {
+        let queue = this.outboundQueue;
+        clearTimeout(this._queueFlushTimer);
+        this._queueFlushTimer = null;
+        if (!queue || !queue.size) {
+            return;
+        }
+        queue.flush(function (item) {
+            return this._sendOutbound(item.type, item.body, null, item);
+        }.bind(this)).then(function () {
+            if (!queue.size) {
+                this._queueBackoff.reset();
+            } else if (this.connected && queue === this.outboundQueue) {
+                // replay stopped on network error while the connection is up
+                this._scheduleQueueFlush();
+            }
+        }.bind(this)).catch(reportError);
+    }
+
+    /**
+     * Adds operation that failed with network error to `outboundQueue`.
+     * The listening connection may stay open meanwhile, so the replay is
+     * scheduled instead of waiting for the next reconnect.
+     * @param type {string} One of `message`, `messageEdit`, `messageDelete`
+     * @param body {object} Message object
+     * @param key {string} Idempotency key of the operation
+     * @returns {Promise<object>} Promise of the queued item
+     * @private
+     */
+    _enqueueFailed(type, body, key) {
+        let promise = this.outboundQueue.add(type, body, key);
+        if (this.connected) {
+            this._scheduleQueueFlush();
+        }
+        return promise;
+    }
+
+    /**
+     * Replays `outboundQueue` after a growing delay, unless a replay
+     * is already scheduled.
+     * @private
+     */
+    _scheduleQueueFlush() {
+        if (this._queueFlushTimer) {
+            return;
+        }
+        this._queueFlushTimer = setTimeout(function () {
+            this._queueFlushTimer = null;
+            if (this.connected) {
+                this._flushOutboundQueue();
+            }
+        }.bind(this), this._queueBackoff.next() || 0);
+    }
+
+    /**
+     * Opens a persistent connection (WebSocket, SSE or long-poll) to receive messages.
+     * Uses the first available transport from `transports`, falling back to
+     * the next ones if the previous connection attempt failed before opening.
+     * @param request {ChannelStreamRequest} The connect request that triggered this
+     * @param data {object} Server response from connect()
+     */
+    startListening(request, data) {
+        this._notify('beforeListening', request, data);
+        this.websocket = null;
+        this.eventSource = null;
+        this._listenOpened = false;
+        this.transport = this._selectTransport();
+        if (this.transport === 'websocket') {
+            this.openWebsocket();
+        } else if (this.transport === 'sse') {
+            this.openEventSource();
+        } else {
+            this.openLongPoll();
+        }
+    }
+
+    /**
+     * Picks first available transport starting from `_transportIndex`,
+     * long-polling is used when nothing else is available.
+     * @returns {string} Transport name
+     * @private
+     */
+    _selectTransport() {
+        for (let i = this._transportIndex; i < this.transports.length; i++) {
+            if (this._isTransportAvailable(this.transports[i])) {
+                this._transportIndex = i;
+                return this.transports[i];
+            }
+        }
+        return 'longpoll';
+    }
+
+    /**
+     *
+     * @param name {string} Transport name
+     * @returns {boolean}
+     * @private
+     */
+    _isTransportAvailable(name) {
+        if (name === 'websocket') {
+            return !this.noWebsocket && !!this._getWebsocketImpl();
+        }
+        if (name === 'sse') {
+            return !!this.sseUrl && !!this._getEventSourceImpl();
+        }
+        return name === 'longpoll';
+    }
+
+    /**
+     * Moves to the next transport if current one never opened,
+     * so the next reconnection attempt uses the fallback. Lost connections
+     * and failures of the last transport start again from the preferred one.
+     * @private
+     */
+    _fallbackTransport() {
+        if (this._listenOpened || this._transportIndex >= this.transports.length - 1) {
+            this._transportIndex = 0;
+        } else {
+            this._transportIndex += 1;
+        }
+    }
+
+    /**
+     * Fired before connection start listening for messages
+     * @param request
+     * @param data
+     */
+    beforeListeningCallback(request, data) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('beforeListeningCallback', request, data);
+    }
+
+    /**
+     * Opens WebSocket connection and binds event handlers.
+     * Connection ID is passed as query parameter for server-side session matching.
+     */
+    openWebsocket() {
+        let request = this._createRequest('listen', this.websocketUrl + '?conn_id=' + this.connectionId, null);
+        this._openWhenReady(request, function () {
+            let WebSocketImpl = this._getWebsocketImpl();
+            this.websocket = new WebSocketImpl(request.url);
+            // binary frames are decoded synchronously, without Blob reads
+            this.websocket.binaryType = 'arraybuffer';
+            // Bind all WebSocket events to internal handlers
+            this.websocket.onopen = this._handleListenOpen.bind(this);
+            this.websocket.onclose = this._handleListenCloseEvent.bind(this);
+            this.websocket.onerror = this._handleListenErrorEvent.bind(this);
+            this.websocket.onmessage = this._handleListenWSMessageEvent.bind(this);
+        });
+    }
+
+    /**
+     * Calls `open` once asynchronous `listen` mutators of the request
+     * finished, unless the connection was closed or restarted meanwhile.
+     * Failing mutators are handled like a lost connection.
+     * @param request {ChannelStreamRequest} Listen request
+     * @param open {function} Opens the connection, bound to this
+     * @private
+     */
+    _openWhenReady(request, open) {
+        this._listenRequest = request;
+        if (!request.ready) {
+            open.call(this);
+            return;
+        }
+        let current = function () {
+            return this._listenRequest === request && this._state !== ConnectionState.CLOSED;
+        }.bind(this);
+        request.ready.then(function () {
+            if (current()) {
+                open.call(this);
+            }
+        }.bind(this), function (error) {
+            if (current()) {
+                this._handleListenErrorEvent(request, error);
+                this._handleListenCloseEvent(request, error);
+            }
+        }.bind(this)).catch(reportError);
+    }
+
+    /**
+     * Returns WebSocket constructor to use, either `websocketImpl`
+     * or the global one when available.
+     * @returns {function|undefined}
+     * @private
+     */
+    _getWebsocketImpl() {
+        return this.websocketImpl || globalThis.WebSocket;
+    }
+
+    /**
+     * Opens Server-Sent Events connection and binds event handlers.
+     * Used as fallback when WebSocket is unavailable or blocked by proxies.
+     */
+    openEventSource() {
+        let request = this._createRequest('listen', this.sseUrl + '?conn_id=' + this.connectionId, null);
+        this._openWhenReady(request, function () {
+            let EventSourceImpl = this._getEventSourceImpl();
+            this.eventSource = new EventSourceImpl(request.url, {
+                withCredentials: this.credentials === 'include'
+            });
+            this.eventSource.onopen = this._handleListenOpen.bind(this);
+            this.eventSource.onerror = this._handleEventSourceErrorEvent.bind(this);
+            this.eventSource.onmessage = this._handleListenWSMessageEvent.bind(this);
+        });
+    }
+
+    /**
+     * Returns EventSource constructor to use, either `eventSourceImpl`
+     * or the global one when available.
+     * @returns {function|undefined}
+     * @private
+     */
+    _getEventSourceImpl() {
+        return this.eventSourceImpl || globalThis.EventSource;
+    }
+
+    /**
+     * Opens long-poll connection as fallback when WebSocket is unavailable.
+     * Long-polling works by making repeated HTTP requests - each request blocks
+     * until the server has data or times out, then immediately reconnects.
+     */
+    openLongPoll() {
+        let request = this._createRequest('listen', this.longPollUrl + '?conn_id=' + this.connectionId, null);
+        // polls wait for messages as long as the server allows
+        request.timeout = 0;
+        // Failed poll means lost connection, aborted one was closed on purpose
+        request.handleError = function (request, data) {
+            this._handleListenErrorEvent(request, data);
+            if (!request.aborted) {
+                this._handleListenCloseEvent(request, data);
+            }
+        }.bind(this);
+        // Mark connected when request starts (server accepted connection)
+        request.handleRequest = function () {
+            // connection closed while the poll was starting stays closed
+            if (this._state === ConnectionState.CLOSED) {
+                request.abort();
+                return;
+            }
+            let opened = this._state !== ConnectionState.OPEN;
+            this._listenOpened = true;
+            this.connected = true;
+            this._setState(ConnectionState.OPEN);
+            this._notify('listenOpened', request);
+            // every poll starts a request, only the first one replays the queue
+            if (opened) {
+                this._flushOutboundQueue();
+            }
+        }.bind(this);
+        // On response, process messages and immediately start next poll
+        request.handleResponse = function (request, data) {
+            this._handleListenMessageEvent(data);
+        }.bind(this);
+        request.execute();
+        // Store reference to allow aborting the request on disconnect
+        this._ajaxListen = request;
+    }
+
+    /**
+     * Schedules connect() after the delay returned by `reconnectStrategy`.
+     * Growing delays prevent overwhelming the server during outages.
+     * When the strategy gives up, state changes to `offline` and
+     * `reconnectFailed` is fired.
+     */
+    retryConnection() {
+        if (this._state === ConnectionState.CLOSED) {
+            return;
+        }
+        // without network there is nothing to retry, `online` event reconnects
+        if (!this.shouldReconnect || this._networkOffline) {
+            this._setState(ConnectionState.OFFLINE);
+            return;
+        }
+        let delay = this.reconnectStrategy.next();
+        if (delay === null || typeof delay === 'undefined') {
+            this._setState(ConnectionState.OFFLINE);
+            this._notify('reconnectFailed', this.reconnectStrategy.attempts);
+            return;
+        }
+        this._setState(ConnectionState.RECONNECTING);
+        // Schedule reconnection attempt after the backoff interval
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = setTimeout(this.connect.bind(this), delay);
     }
 
     /**
-     * calculates list of channels we should remove user from based difference
-     * between channels property and passed channel list
-     * @param channels {string[]} List of channels to un-subscribe
+     * Fired when reconnect strategy gives up reconnecting
+     * @param attempts {number} Number of failed attempts
      */
-    calculateUnsubscribe(channels) {
-        if (!channels) {
-            channels = []
-        }
-        let toUnsubscribe = [];
-
-        for (let channel of channels) {
-            if (this.channels.indexOf(channel) !== -1) {
-                toUnsubscribe.push(channel);
-            }
+    reconnectFailedCallback(attempts) {
+        if (!this.debug) {
+            return;
         }
-        return toUnsubscribe;
+        console.log('reconnectFailedCallback', attempts);
     }
 
     /**
-     * Marks the connection as expired via /disconnect API.
-     *
+     * Starts listening to network and page visibility changes.
+     * @private
      */
-    disconnect() {
-        let request = new ChannelStreamRequest();
-        request.url = this.disconnectUrl + '?conn_id=' + this.connectionId;
-        request.body = {
-            conn_id: this.connectionId
+    _bindEnvironment() {
+        let target = globalThis;
+        let doc = globalThis.document;
+        if (this._environmentListeners || typeof target.addEventListener !== 'function') {
+            return;
+        }
+        this._environmentListeners = {
+            online: this._handleNetworkOnline.bind(this),
+            offline: this._handleNetworkOffline.bind(this),
+            pagehide: this._handlePageHide.bind(this),
+            visibilitychange: this._handleVisibilityChange.bind(this)
         };
-        for (let callable of this.mutators.disconnect) {
-            callable(request);
+        target.addEventListener('online', this._environmentListeners.online);
+        target.addEventListener('offline', this._environmentListeners.offline);
+        target.addEventListener('pagehide', this._environmentListeners.pagehide);
+        if (doc && typeof doc.addEventListener === 'function') {
+            doc.addEventListener('visibilitychange', this._environmentListeners.visibilitychange);
         }
-        request.handleResponse = this._handleDisconnect.bind(this);
-        request.execute();
-        this.closeConnection();
+        this._networkOffline = !!(this.networkAware && globalThis.navigator &&
+            globalThis.navigator.onLine === false);
     }
 
     /**
-     * Sends a POST to the web application backend.
-     * @param message {object} Message object sent via POST to `messageUrl`.
+     * Stops listening to network and page visibility changes.
+     * @private
      */
-    message(message) {
-        let request = new ChannelStreamRequest();
-        request.url = this.messageUrl;
-        request.body = message;
-        for (let callable of this.mutators.message) {
-            callable(request);
+    _unbindEnvironment() {
+        let listeners = this._environmentListeners;
+        if (!listeners) {
+            return;
+        }
+        globalThis.removeEventListener('online', listeners.online);
+        globalThis.removeEventListener('offline', listeners.offline);
+        globalThis.removeEventListener('pagehide', listeners.pagehide);
+        if (globalThis.document) {
+            globalThis.document.removeEventListener('visibilitychange', listeners.visibilitychange);
         }
-        request.handleError = this._handleMessageError.bind(this);
-        request.handleResponse = this._handleMessage.bind(this);
-        request.execute('POST');
+        clearTimeout(this._hiddenTimer);
+        this._environmentListeners = null;
     }
 
     /**
-     * Sends a DELETE request to the web application backend.
-     * @param message {object} Message object sent to DELETE to `messageUrl`.
+     * Network went away: pending reconnection is cancelled until it returns.
+     * @private
      */
-    delete(message) {
-        let request = new ChannelStreamRequest();
-        request.url = this.messageDeleteUrl;
-        for (let callable of this.mutators.messageDelete) {
-            callable(request);
+    _handleNetworkOffline() {
+        if (!this.networkAware) {
+            return;
+        }
+        this._networkOffline = true;
+        if (this._state === ConnectionState.RECONNECTING) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+            this._setState(ConnectionState.OFFLINE);
         }
-        request.body = message;
-        request.handleError = this._handleMessageDeleteError.bind(this);
-        request.handleResponse = this._handleMessageDelete.bind(this);
-        request.execute('DELETE');
     }
 
     /**
-     * Sends a PATCH request to the web application backend.
-     * @param message {object} Message object sent via PATCH to `messageUrl`.
+     * Network is back: reconnect immediately, skipping the backoff delay.
+     * @private
      */
-    edit(message) {
-        let request = new ChannelStreamRequest();
-        request.url = this.messageEditUrl;
-        request.body = message;
-        for (let callable of this.mutators.messageEdit) {
-            callable(request);
+    _handleNetworkOnline() {
+        if (!this.networkAware) {
+            return;
+        }
+        this._networkOffline = false;
+        // connections that shouldn't reconnect stay offline
+        if (!this.shouldReconnect) {
+            return;
+        }
+        if (this._state === ConnectionState.OFFLINE || this._state === ConnectionState.RECONNECTING) {
+            this.reconnectStrategy.reset();
+            this.connect();
         }
-        request.handleError = this._handleMessageEditError.bind(this);
-        request.handleResponse = this._handleMessageEdit.bind(this);
-        request.execute('PATCH');
     }
 
     /**
-     * Opens a persistent connection (WebSocket or long-poll) to receive messages.
-     * Automatically selects WebSocket if available, falling back to long-polling.
-     * @param request {ChannelStreamRequest} The connect request that triggered this
-     * @param data {object} Server response from connect()
+     * Suspends the connection once the page stays hidden for
+     * `hiddenGracePeriod`, resumes it when the page is visible again.
+     * @private
      */
-    startListening(request, data) {
-        this.beforeListeningCallback(request, data);
-        // Check WebSocket availability if not explicitly disabled
-        if (this.noWebsocket === false) {
-            this.noWebsocket = !window.WebSocket;
+    _handleVisibilityChange() {
+        clearTimeout(this._hiddenTimer);
+        this._hiddenTimer = null;
+        if (globalThis.document.visibilityState !== 'hidden') {
+            this.resume();
+            return;
         }
-        // Use WebSocket when available, otherwise fall back to long-polling
-        if (this.noWebsocket === false) {
-            this.openWebsocket();
-        } else {
-            this.openLongPoll();
+        // hidden pages may be discarded without further events
+        this._flushBatch({keepalive: true});
+        if (this.suspendWhenHidden) {
+            this._hiddenTimer = setTimeout(this.suspend.bind(this), this.hiddenGracePeriod);
         }
     }
 
     /**
-     * Fired before connection start listening for messages
-     * @param request
-     * @param data
+     * Page is being unloaded: batched messages are sent with requests
+     * outliving the page.
+     * @private
      */
-    beforeListeningCallback(request, data) {
-        if (!this.debug) {
+    _handlePageHide() {
+        this._flushBatch({keepalive: true});
+    }
+
+    /**
+     * Stops heartbeats and the long-poll loop without closing the connection.
+     */
+    suspend() {
+        if (this.suspended) {
             return;
         }
-        console.log('beforeListeningCallback', request, data);
+        this.suspended = true;
+        this._clearHeartBeats();
+        if (this.transport === 'longpoll' && this._ajaxListen) {
+            this._ajaxListen.abort();
+        }
+        this._notify('suspend');
     }
 
     /**
-     * Opens WebSocket connection and binds event handlers.
-     * Connection ID is passed as query parameter for server-side session matching.
+     * Restarts heartbeats and the long-poll loop stopped by suspend().
      */
-    openWebsocket() {
-        let url = this.websocketUrl + '?conn_id=' + this.connectionId;
-        this.websocket = new WebSocket(url);
-        // Bind all WebSocket events to internal handlers
-        this.websocket.onopen = this._handleListenOpen.bind(this);
-        this.websocket.onclose = this._handleWebsocketCloseEvent.bind(this);
-        this.websocket.onerror = this._handleListenErrorEvent.bind(this);
-        this.websocket.onmessage = this._handleListenWSMessageEvent.bind(this);
+    resume() {
+        if (!this.suspended) {
+            return;
+        }
+        this.suspended = false;
+        if (this._state === ConnectionState.OPEN) {
+            if (this.transport === 'websocket') {
+                this.createHeartBeats();
+            } else if (this.transport === 'longpoll') {
+                this.openLongPoll();
+            }
+        }
+        this._notify('resume');
     }
 
     /**
-     * Opens long-poll connection as fallback when WebSocket is unavailable.
-     * Long-polling works by making repeated HTTP requests - each request blocks
-     * until the server has data or times out, then immediately reconnects.
+     * Fired when connection gets suspended on hidden page
      */
-    openLongPoll() {
-        let request = new ChannelStreamRequest();
-        request.url = this.longPollUrl + '?conn_id=' + this.connectionId;
-        request.handleError = this._handleListenErrorEvent.bind(this);
-        // Mark connected when request starts (server accepted connection)
-        request.handleRequest = function () {
-            this.connected = true;
-            this.listenOpenedCallback(request);
-        }.bind(this);
-        // On response, process messages and immediately start next poll
-        request.handleResponse = function (request, data) {
-            this._handleListenMessageEvent(data);
-        }.bind(this);
-        request.execute();
-        // Store reference to allow aborting the request on disconnect
-        this._ajaxListen = request;
+    suspendCallback() {
+        if (!this.debug) {
+            return;
+        }
+        console.log('suspendCallback');
     }
 
     /**
-     * Retries connect() using exponential backoff strategy.
-     * Each retry waits longer (by increaseBounceIv ms) up to a maximum of 60 seconds.
-     * This prevents overwhelming the server during outages.
+     * Fired when suspended connection resumes
      */
-    retryConnection() {
-        if (!this.shouldReconnect) {
+    resumeCallback() {
+        if (!this.debug) {
             return;
         }
-        // Exponential backoff: increase interval each retry, cap at 60 seconds
-        if (this._currentBounceIv < 60000) {
-            this._currentBounceIv = this._currentBounceIv + this.increaseBounceIv;
-        } else {
-            this._currentBounceIv = 60000;
-        }
-        // Schedule reconnection attempt after the backoff interval
-        setTimeout(this.connect.bind(this), this._currentBounceIv);
+        console.log('resumeCallback');
     }
 
     /**
-     * Closes the current listening connection (WebSocket or long-poll).
+     * Closes the current listening connection (WebSocket, SSE or long-poll).
      * Cleans up event handlers to prevent reconnection triggers.
      */
     closeConnection() {
-        // Close WebSocket if open, removing handlers to prevent reconnect loop
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        clearTimeout(this._queueFlushTimer);
+        this._queueFlushTimer = null;
+        this._transportIndex = 0;
+        this._heldFrames = null;
+        this._unbindEnvironment();
+        this.suspended = false;
+        this._listenRequest = null;
+        this._setState(ConnectionState.CLOSED);
+        // Close WebSocket if connecting or open, removing handlers to prevent reconnect loop
+        if (this.websocket && this.websocket.readyState <= WEBSOCKET_OPEN) {
             this.websocket.onclose = null;
             this.websocket.onerror = null;
             this.websocket.close();
         }
+        // EventSource would reconnect on its own, close it for good
+        if (this.eventSource) {
+            this.eventSource.onerror = null;
+            this.eventSource.close();
+        }
         // Abort any pending long-poll request
         if (this._ajaxListen) {
-            let request = this._ajaxListen.request;
-            request.abort();
+            this._ajaxListen.abort();
         }
+        this._clearHeartBeats();
         this.connected = false;
-        this.connectionClosedCallback();
+        this._notify('connectionClosed');
     }
 
     /**
@@ -426,9 +1554,12 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleListenOpen(request, data) {
+        this._listenOpened = true;
         this.connected = true;
-        this.listenOpenedCallback(request, data);
+        this._setState(ConnectionState.OPEN);
+        this._notify('listenOpened', request, data);
         this.createHeartBeats();
+        this._flushOutboundQueue();
     }
 
     /**
@@ -448,31 +1579,64 @@ export class ChannelStreamConnection {
      * Heartbeats prevent server-side timeout and help detect dead connections.
      */
     createHeartBeats() {
-        // Only create heartbeat interval once, and only for WebSocket connections
-        if (typeof this._heartbeat === 'undefined' && this.websocket !== null && this.heartbeats) {
-            this._heartbeat = setInterval(this._sendHeartBeat.bind(this), 10000);
+        // Only for WebSocket connections, one interval per socket
+        this._clearHeartBeats();
+        this._lastInbound = Date.now();
+        if (this.websocket !== null && this.heartbeats && !this.suspended) {
+            this._heartbeat = setInterval(this._sendHeartBeat.bind(this), this.heartbeatInterval);
         }
     }
 
     /**
-     * Sends a single heartbeat message over the WebSocket.
+     * Stops sending heartbeats.
+     * @private
+     */
+    _clearHeartBeats() {
+        clearInterval(this._heartbeat);
+        this._heartbeat = null;
+    }
+
+    /**
+     * Sends a single heartbeat message over the WebSocket, closing the
+     * socket first when nothing was received for `heartbeatMaxMissed` intervals.
      * @private
      */
     _sendHeartBeat() {
-        if (this.websocket.readyState === WebSocket.OPEN && this.heartbeats) {
-            this.websocket.send(JSON.stringify({type: 'heartbeat'}));
+        if (!this.websocket || this.websocket.readyState !== WEBSOCKET_OPEN || !this.heartbeats) {
+            return;
+        }
+        let silence = Date.now() - this._lastInbound;
+        if (this.heartbeatMaxMissed && silence >= this.heartbeatInterval * this.heartbeatMaxMissed) {
+            this._handleDeadConnection(silence);
+            return;
         }
+        this.websocket.send(this.codec.encode({type: 'heartbeat'}));
     }
 
     /**
-     *
-     * @param request
-     * @param data
+     * Forces half-open socket closed and starts reconnecting.
+     * @param silence {number} Milliseconds since last inbound frame
      * @private
      */
-    _handleListenError(request, data) {
-        this.connected = false;
-        this.retryConnection(request, data);
+    _handleDeadConnection(silence) {
+        let websocket = this.websocket;
+        websocket.onclose = null;
+        websocket.onerror = null;
+        websocket.onmessage = null;
+        websocket.close();
+        this._notify('heartbeatTimeout', silence);
+        this._handleListenCloseEvent(websocket, silence);
+    }
+
+    /**
+     * Fired when socket is closed because of missed heartbeats
+     * @param silence {number} Milliseconds since last inbound frame
+     */
+    heartbeatTimeoutCallback(silence) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('heartbeatTimeoutCallback', silence);
     }
 
     /**
@@ -484,7 +1648,7 @@ export class ChannelStreamConnection {
     _handleConnectError(request, data) {
         this.connected = false;
         this.retryConnection(request, data);
-        this.connectErrorCallback(request, data);
+        this._notify('connectError', request, data);
     }
 
     /**
@@ -503,23 +1667,241 @@ export class ChannelStreamConnection {
      * Handles long-polling payloads and re-initiates the poll loop.
      * Uses setTimeout(0) to allow the current call stack to complete
      * before starting the next long-poll request.
-     * @param data {object} Parsed JSON response from server
+     * @param data {object} Decoded response from server
      * @private
      */
     _handleListenMessageEvent(data) {
         // Immediately schedule next poll (async to prevent stack overflow)
-        setTimeout(this.openLongPoll.bind(this), 0);
-        this.listenMessageCallback(data);
+        // unless the connection was closed or suspended meanwhile, possibly
+        // by listeners of the messages handled below
+        setTimeout(function () {
+            if (this._state === ConnectionState.OPEN && !this.suspended) {
+                this.openLongPoll();
+            }
+        }.bind(this), 0);
+        this._handleFrame(data);
     }
 
     /**
-     * Handles ws payloads
+     * Handles ws and sse payloads
      * @param data
      * @private
      */
     _handleListenWSMessageEvent(data) {
-        let parsedData = JSON.parse(data.data);
-        this.listenMessageCallback(parsedData);
+        this._lastInbound = Date.now();
+        this._handleFrame(data.data);
+    }
+
+    /**
+     * Decodes received frame, reports invalid content through `decodeError`
+     * and delivers the valid messages.
+     * @param frame {string|ArrayBuffer|object[]} Encoded frame or parsed payload
+     * @private
+     */
+    _handleFrame(frame) {
+        // live messages wait until missed ones are recovered
+        if (this._heldFrames) {
+            this._heldFrames.push(frame);
+            return;
+        }
+        let result = decodeFrame(frame, this.codec);
+        for (let error of result.errors) {
+            this._notify('decodeError', error);
+        }
+        // empty frames, heartbeat replies and invalid messages are not delivered
+        if (result.messages.length) {
+            this._deliverMessages(result.messages);
+        }
+    }
+
+    /**
+     * Fired when received frame or message could not be decoded.
+     * @param error {ChannelStreamDecodeError}
+     */
+    decodeErrorCallback(error) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('decodeErrorCallback', error);
+    }
+
+    /**
+     * Removes duplicates, orders messages and passes them to
+     * `listenMessage` listeners and channel handles.
+     * @param messages {object[]} Decoded messages
+     * @private
+     */
+    _deliverMessages(messages) {
+        if (messages.length) {
+            this._delivery.deduplicate = this.deduplicateMessages;
+            this._delivery.order = this.orderMessages;
+            messages = this._delivery.process(messages);
+            // everything was already delivered
+            if (!messages.length) {
+                return;
+            }
+        }
+        applyPresence(this._presence, messages);
+        this._confirmOptimistic(messages);
+        ingestMessages(this._messageStores, messages);
+        this._notify('listenMessage', messages);
+        this._routeMessages(messages);
+    }
+
+    /**
+     * Compares channel history returned by connect() with the newest
+     * delivered message of every channel, reports detected gaps and
+     * delivers the missed messages when `recoverGaps` is enabled.
+     * @param data {object} Server response from connect()
+     * @private
+     */
+    _detectGaps(data) {
+        let info = (data.channels_info && data.channels_info.channels) || {};
+        let recoveries = [];
+        this._heldFrames = null;
+        for (let channel of Object.keys(this._delivery.lastTimestamps)) {
+            if (this.channels.indexOf(channel) === -1) {
+                continue;
+            }
+            let since = this._delivery.lastTimestamp(channel);
+            let history = (info[channel] && info[channel].history) || [];
+            let missed = this._missedMessages(history, since);
+            let oldest = Math.min.apply(null, history.map(function (message) {
+                return timestampValue(message.timestamp);
+            }));
+            // missing history, or history not reaching back to the last
+            // delivered message, means messages could have been lost
+            let reachesBack = history.length > 0 && oldest <= since;
+            if (!missed.length && reachesBack) {
+                continue;
+            }
+            if (this.recoverGaps && !reachesBack && this.historyUrl) {
+                recoveries.push(this._fetchMissed(channel, since, missed));
+                continue;
+            }
+            this._recoverGap({
+                channel: channel,
+                since: since,
+                messages: this.recoverGaps ? missed : [],
+                complete: reachesBack && this.recoverGaps
+            });
+        }
+        if (!recoveries.length) {
+            return;
+        }
+        let held = this._heldFrames = [];
+        Promise.all(recoveries).then(function (gaps) {
+            // connection was closed or connected again meanwhile
+            if (this._heldFrames !== held) {
+                return;
+            }
+            this._heldFrames = null;
+            for (let gap of gaps) {
+                this._recoverGap(gap);
+            }
+            for (let frame of held) {
+                this._handleFrame(frame);
+            }
+        }.bind(this)).catch(reportError);
+    }
+
+    /**
+     * Returns history messages not older than `since` that were not delivered.
+     * @param history {object[]}
+     * @param since {number} Timestamp of last delivered message in milliseconds
+     * @returns {object[]}
+     * @private
+     */
+    _missedMessages(history, since) {
+        return history.filter(function (message) {
+            return timestampValue(message.timestamp) >= since && !this._delivery.isDuplicate(message);
+        }.bind(this));
+    }
+
+    /**
+     * Pages back through channel history with fetchHistory() until it
+     * reaches the last delivered message.
+     * @param channel {string}
+     * @param since {number} Timestamp of last delivered message in milliseconds
+     * @param missed {object[]} Missed messages found in connect() history
+     * @returns {Promise<object>} Resolves with `channel`, `since`, missed
+     * `messages` and `complete`, also when a request fails
+     * @private
+     */
+    _fetchMissed(channel, since, missed) {
+        let messages = missed.slice();
+        let uuids = new Set(missed.map(function (message) {
+            return message.uuid;
+        }));
+        let fetchPage = function (before) {
+            return this.fetchHistory(channel, {before: before}).then(function (page) {
+                for (let message of this._missedMessages(page.messages, since)) {
+                    if (!uuids.has(message.uuid)) {
+                        messages.push(message);
+                    }
+                }
+                let oldest = page.messages.length ? page.messages[0].timestamp : null;
+                if (oldest !== null && timestampValue(oldest) <= since) {
+                    return true;
+                }
+                return oldest !== null && page.hasMore ? fetchPage(oldest) : false;
+            }.bind(this));
+        }.bind(this);
+        return fetchPage(null).catch(function () {
+            // failure is reported through historyError
+            return false;
+        }).then(function (complete) {
+            return {channel: channel, since: since, messages: messages, complete: complete};
+        });
+    }
+
+    /**
+     * Reports gap and delivers its recovered messages.
+     * @param gap {object} Object with `channel`, `since`, `messages` and `complete`
+     * @private
+     */
+    _recoverGap(gap) {
+        this._notify('messageGap', {
+            channel: gap.channel,
+            since: gap.since,
+            recovered: gap.messages.length,
+            complete: gap.complete
+        });
+        if (gap.messages.length) {
+            this._handleFrame(gap.messages);
+        }
+    }
+
+    /**
+     * Fired when messages were missed during reconnection.
+     * @param gap {object} Object with `channel`, `since` (timestamp of last
+     * delivered message in milliseconds), `recovered` (number of delivered
+     * missed messages, 0 unless `recoverGaps` is enabled) and `complete`
+     * (whether all missed messages were recovered, false when history
+     * is missing or does not reach back to `since`)
+     */
+    messageGapCallback(gap) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('messageGapCallback', gap);
+    }
+
+    /**
+     * Passes received messages to handles of their channels.
+     * @param messages {object[]} Messages received from the server
+     * @private
+     */
+    _routeMessages(messages) {
+        if (!this._channelHandles.size) {
+            return;
+        }
+        for (let message of messages) {
+            let handle = this._channelHandles.get(message.channel);
+            if (handle) {
+                handle._dispatch(message);
+            }
+        }
     }
 
     /**
@@ -539,14 +1921,29 @@ export class ChannelStreamConnection {
      * @param data
      * @private
      */
-    _handleWebsocketCloseEvent(request, data) {
+    _handleListenCloseEvent(request, data) {
         this.connected = false;
-        this.listenCloseCallback(request, data);
+        this._clearHeartBeats();
+        this._fallbackTransport();
+        this._notify('listenClose', request, data);
         this.retryConnection();
     }
 
     /**
-     * Fired on websocket connection close event
+     * EventSource reconnects on its own reusing the stale connection id,
+     * so errors close it and hand over to the regular reconnection flow.
+     * @param event
+     * @private
+     */
+    _handleEventSourceErrorEvent(event) {
+        this.eventSource.onerror = null;
+        this.eventSource.close();
+        this._handleListenErrorEvent(event);
+        this._handleListenCloseEvent(event);
+    }
+
+    /**
+     * Fired on websocket/sse connection close event
      * @param request
      * @param data
      */
@@ -565,11 +1962,11 @@ export class ChannelStreamConnection {
      */
     _handleListenErrorEvent(request, data) {
         this.connected = false;
-        this.listenErrorCallback(request, data);
+        this._notify('listenError', request, data);
     }
 
     /**
-     * Fired on long-pool/websocket connection error event
+     * Fired on long-pool/websocket/sse connection error event
      * @param request
      * @param data
      */
@@ -589,14 +1986,21 @@ export class ChannelStreamConnection {
      */
     _handleConnect(request, data) {
         // Reset reconnection backoff on successful connect
-        this.currentBounceIv = 0;
+        this.reconnectStrategy.reset();
         // Store server-assigned connection ID for subsequent requests
         this.connectionId = data.conn_id;
         this.channels = data.channels;
-        this.channelsChangedCallback(this.channels);
-        this.connectCallback(request, data);
+        syncPresence(this._presence, data);
+        this._notify('channelsChanged', this.channels);
+        this._notify('connect', request, data);
+        // Report (and recover) messages missed while reconnecting before
+        // live ones are delivered
+        this._detectGaps(data);
+        this._emitChannelsHistory(data, 'connect');
         // Begin listening for real-time messages
         this.startListening(request, data);
+        // Deliver operations queued while offline
+        this._flushOutboundQueue();
     }
 
     /**
@@ -619,7 +2023,7 @@ export class ChannelStreamConnection {
      */
     _handleDisconnect(request, data) {
         this.connected = false;
-        this.disconnectCallback(request, data);
+        this._notify('disconnect', request, data);
     }
 
     /**
@@ -641,7 +2045,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleMessage(request, data) {
-        this.messageCallback(request, data);
+        this._notify('message', request, data);
     }
 
     /**
@@ -663,7 +2067,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleMessageError(request, data) {
-        this.messageErrorCallback(request, data);
+        this._notify('messageError', request, data);
     }
 
     /**
@@ -685,7 +2089,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleMessageEdit(request, data) {
-        this.messageEditCallback(request, data);
+        this._notify('messageEdit', request, data);
     }
 
     /**
@@ -707,7 +2111,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleMessageEditError(request, data) {
-        this.messageEditErrorCallback(request, data);
+        this._notify('messageEditError', request, data);
     }
 
     /**
@@ -729,7 +2133,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleMessageDelete(request, data) {
-        this.messageDeleteCallback(request, data);
+        this._notify('messageDelete', request, data);
     }
 
     /**
@@ -751,7 +2155,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleMessageDeleteError(request, data) {
-        this.messageDeleteErrorCallback(request, data);
+        this._notify('messageDeleteError', request, data);
     }
 
     /**
@@ -774,8 +2178,10 @@ export class ChannelStreamConnection {
      */
     _handleSubscribe(request, data) {
         this.channels = data.channels;
-        this.channelsChangedCallback(this.channels);
-        this.subscribeCallback(request, data);
+        syncPresence(this._presence, data);
+        this._notify('channelsChanged', this.channels);
+        this._notify('subscribe', request, data);
+        this._emitChannelsHistory(data, 'subscribe');
     }
 
     /**
@@ -797,7 +2203,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleSubscribeError(request, data) {
-        this.subscribeErrorCallback(request, data);
+        this._notify('subscribeError', request, data);
     }
 
     /**
@@ -820,8 +2226,28 @@ export class ChannelStreamConnection {
      */
     _handleUnsubscribe(request, data) {
         this.channels = data.channels;
-        this.channelsChangedCallback(this.channels);
-        this.unsubscribeCallback(request, data);
+        this._notify('channelsChanged', this.channels);
+        this._notify('unsubscribe', request, data);
+        // drop handles and presence of channels that were left
+        for (let name of request.body.channels || []) {
+            if (this.channels.indexOf(name) === -1 && this._presence.has(name)) {
+                this._presence.get(name).clear();
+                this._presence.delete(name);
+            }
+            if (this.channels.indexOf(name) === -1) {
+                this._historyCursors.delete(name);
+                this._optimistic.dropChannel(name);
+            }
+            if (this.channels.indexOf(name) === -1 && this._messageStores.has(name)) {
+                this._messageStores.get(name).clear();
+                this._messageStores.delete(name);
+            }
+            let handle = this._channelHandles.get(name);
+            if (handle && !handle.subscribed) {
+                this._channelHandles.delete(name);
+                handle._close();
+            }
+        }
     }
 
     /**
@@ -843,7 +2269,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleUnsubscribeError(request, data) {
-        this.unsubscribeErrorCallback(request, data);
+        this._notify('unsubscribeError', request, data);
     }
 
     /**
@@ -865,7 +2291,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleSetUserState(request, data) {
-        this.setUserStateCallback(request, data);
+        this._notify('setUserState', request, data);
     }
 
     /**
@@ -887,7 +2313,7 @@ export class ChannelStreamConnection {
      * @private
      */
     _handleSetUserStateError(request, data) {
-        this.setUserStateErrorCallback(request, data);
+        this._notify('setUserStateError', request, data);
     }
 
     /**
@@ -901,107 +2327,114 @@ export class ChannelStreamConnection {
         }
         console.log('setUserStateErrorCallback', request, data);
     }
-};
 
-/**
- * Internal helper class for making AJAX requests with JSON payloads.
- * Provides a consistent interface for HTTP operations with customizable
- * response/error handlers. Used internally by ChannelStreamConnection.
- *
- * @class ChannelStreamRequest
- * @private
- */
-class ChannelStreamRequest {
+    /**
+     * Delivers history included in connect/subscribe responses
+     * (`channels_info.channels[name].history`).
+     * @param data {object} Server response
+     * @param source {string} `connect` or `subscribe`
+     * @private
+     */
+    _emitChannelsHistory(data, source) {
+        let info = (data.channels_info && data.channels_info.channels) || {};
+        for (let channel of Object.keys(info)) {
+            let history = info[channel].history;
+            if (Array.isArray(history) && history.length) {
+                this._emitHistory(this._historyPage(channel, history, source, null));
+            }
+        }
+    }
 
-    constructor() {
-        /** Custom headers to send with the request. */
-        this.headers = [];
-        /** Request body (will be JSON-serialized if present). */
-        this.body = null;
-        /** Target URL for the request. */
-        this.url = '';
-        /** XMLHttpRequest instance (populated after execute()). */
-        this.request = null;
+    /**
+     * Validates and orders history messages of a channel.
+     * @param channel {string}
+     * @param messages {object[]} Messages returned by the server
+     * @param source {string} `connect`, `subscribe` or `fetch`
+     * @param hasMore {boolean|null}
+     * @returns {HistoryPage}
+     * @private
+     */
+    _historyPage(channel, messages, source, hasMore) {
+        let result = decodeFrame(messages);
+        for (let error of result.errors) {
+            this._notify('decodeError', error);
+        }
+        let sorted = result.messages.sort(function (a, b) {
+            return (timestampValue(a.timestamp) || 0) - (timestampValue(b.timestamp) || 0);
+        });
+        return {channel: channel, messages: sorted, source: source, hasMore: hasMore};
     }
 
     /**
-     * Placeholder for error handling function
-     * @param request
-     * @param respText
+     * Remembers oldest message of the page for paging, adds it to the
+     * message store and passes it to `history` listeners and the channel handle.
+     * @param page {HistoryPage}
+     * @private
      */
-    handleError(request, respText) {
-        console.error('request', request);
-        console.error('respText', respText);
-    };
+    _emitHistory(page) {
+        let oldest = page.messages[0];
+        if (oldest && timestampValue(oldest.timestamp) !== null) {
+            let cursor = this._historyCursors.get(page.channel);
+            if (typeof cursor === 'undefined' ||
+                timestampValue(oldest.timestamp) < timestampValue(cursor)) {
+                this._historyCursors.set(page.channel, oldest.timestamp);
+            }
+        }
+        if (this._messageStores.has(page.channel)) {
+            this._messageStores.get(page.channel).ingest(page.messages);
+        }
+        this._notify('history', page);
+        let handle = this._channelHandles.get(page.channel);
+        if (handle) {
+            handle._dispatchHistory(page);
+        }
+    }
 
     /**
-     * Placeholder for sucessful response handler
-     * @param request
-     * @param respText
+     * Fired when channel history is received, from connect/subscribe
+     * responses or fetchHistory()
+     * @param page {HistoryPage}
      */
-    handleResponse(request, respText) {
-        console.info('request', request);
-        console.info('respText', respText);
-    };
+    historyCallback(page) {
+        if (!this.debug) {
+            return;
+        }
+        console.log('historyCallback', page);
+    }
 
     /**
-     * Placeholder for in-progress request handler.
-     * Override to track request progress (e.g., for long-poll connections).
-     * @param request {XMLHttpRequest} The in-progress request
+     * Builds page of history returned by `historyUrl`.
+     * @param request {ChannelStreamRequest}
+     * @param data {object|object[]} Server response
+     * @returns {HistoryPage}
+     * @private
      */
-    handleRequest(request) {
-    };
+    _historyResponsePage(request, data) {
+        let messages = Array.isArray(data) ? data : (data && data.messages) || [];
+        let hasMore = data && typeof data.has_more === 'boolean' ? data.has_more
+            : messages.length >= request.body.limit;
+        return this._historyPage(request.body.channel, messages, 'fetch', hasMore);
+    }
 
     /**
-     * XMLHttpRequest state change handler.
-     * Routes to appropriate callback based on request state and status code.
+     *
+     * @param request
+     * @param data
+     * @private
      */
-    handleStateChange() {
-        let result = this.request.responseText;
-        // Attempt to parse response as JSON (gracefully handles non-JSON)
-        try {
-            result = JSON.parse(result);
-        } catch (exc) {
-            // Keep raw text if not valid JSON
-        }
-        // DONE state means request completed (success or failure)
-        if (this.request.readyState === XMLHttpRequest.DONE) {
-            // Status 1-399 = success, 400+ or 0 = error
-            if (this.request.status && this.request.status <= 400) {
-                this.handleResponse(this.request, result);
-            } else {
-                this.handleError(this.request, result);
-            }
-        } else {
-            // Request still in progress (OPENED, HEADERS_RECEIVED, LOADING)
-            this.handleRequest(this.request);
-        }
-    };
+    _handleHistoryError(request, data) {
+        this._notify('historyError', request, data);
+    }
 
     /**
-     * Executes the AJAX request with the specified HTTP verb.
-     * Automatically JSON-serializes body if present, defaults to POST with body or GET without.
-     * @param verb {string} HTTP verb (GET, POST, PATCH, DELETE, etc.)
+     * Fired on fetchHistory() error
+     * @param request
+     * @param data
      */
-    execute(verb) {
-        this.request = new XMLHttpRequest();
-        this.request.onreadystatechange = this.handleStateChange.bind(this);
-        // Apply any custom headers
-        if (this.headers) {
-            for (let i = 0; i < this.headers.length; i++) {
-                this.request.setRequestHeader(
-                    this.headers[i].name, this.headers[i].value);
-            }
-        }
-        // With body: default to POST, serialize as JSON
-        // Without body: default to GET
-        if (this.body) {
-            this.request.open(verb || 'POST', this.url);
-            this.request.setRequestHeader('Content-Type', 'application/json');
-            this.request.send(JSON.stringify(this.body));
-        } else {
-            this.request.open(verb || 'GET', this.url);
-            this.request.send();
+    historyErrorCallback(request, data) {
+        if (!this.debug) {
+            return;
         }
-    };
-}
+        console.log('historyErrorCallback', request, data);
+    }
+};
@@ -0,0 +1,536 @@
+/**
+ * @fileoverview Wire formats of requests and listening connections.
+ *
+ * A codec turns request bodies and server frames into bytes or text and
+ * back. JSON is the default, MessagePack produces smaller binary frames
+ * that are faster to decode for high-frequency channels.
+ *
+ * @module codec
+ */
+
+/**
+ * Codec used for requests and frames, any object with these members works.
+ * @typedef {object} Codec
+ * @property {string} name Format name used in error messages
+ * @property {string} contentType MIME type of encoded request bodies
+ * @property {boolean} binary Whether `encode()` returns bytes instead of text
+ * @property {function(*): (string|Uint8Array)} encode Encodes a value
+ * @property {function((string|ArrayBuffer|Uint8Array)): *} decode Decodes
+ * a value, throws when data is malformed
+ */
+
+/** Maximum nesting of encoded values, deeper (usually cyclic) values are rejected. */
+const MAX_DEPTH = 512;
+
+/**
+ * Whether data is an ArrayBuffer or a view of one (Uint8Array, Node.js Buffer).
+ * @param data {*}
+ * @returns {boolean}
+ */
+export function isBinaryData(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Returns bytes of binary data without copying.
+ * @param data {ArrayBuffer|ArrayBufferView}
+ * @returns {Uint8Array}
+ * @private
+ */
+function toBytes(data) {
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * JSON text, the format used by Channelstream servers.
+ */
+export class JSONCodec {
+
+    constructor() {
+        this.name = 'JSON';
+        this.contentType = 'application/json';
+        this.binary = false;
+    }
+
+    /**
+     * @param value {*}
+     * @returns {string}
+     */
+    encode(value) {
+        return JSON.stringify(value);
+    }
+
+    /**
+     * @param data {string|ArrayBuffer|Uint8Array} JSON text or its UTF-8 bytes
+     * @returns {*}
+     */
+    decode(data) {
+        if (typeof data !== 'string') {
+            data = new TextDecoder().decode(toBytes(data));
+        }
+        return JSON.parse(data);
+    }
+}
+
+/**
+ * Codec decoding text data as JSON, used when text arrives on a
+ * connection using a binary codec (e.g. SSE or JSON error responses).
+ * @private
+ */
+const TEXT_CODEC = new JSONCodec();
+
+/**
+ * Returns codec able to decode the data: text is always JSON when the
+ * configured codec is binary.
+ * @param data {string|ArrayBuffer|Uint8Array}
+ * @param [codec] {Codec} Configured codec, defaults to JSONCodec
+ * @returns {Codec}
+ */
+export function codecFor(data, codec) {
+    if (!codec || (codec.binary && typeof data === 'string')) {
+        return TEXT_CODEC;
+    }
+    return codec;
+}
+
+/**
+ * Growing byte buffer used by the MessagePack encoder.
+ * @private
+ */
+class ByteWriter {
+
+    constructor() {
+        this.bytes = new Uint8Array(256);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    /**
+     * Reserves space, returns its offset.
+     * @param size {number}
+     * @returns {number}
+     */
+    reserve(size) {
+        if (this.length + size > this.bytes.length) {
+            let bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer);
+        }
+        let offset = this.length;
+        this.length += size;
+        return offset;
+    }
+
+    /**
+     * Writes type byte followed by unsigned integer of `size` bytes.
+     * @param type {number}
+     * @param size {number} 0, 1, 2, 4 or 8
+     * @param value {number|bigint}
+     */
+    head(type, size, value) {
+        let offset = this.reserve(1 + size) + 1;
+        this.bytes[offset - 1] = type;
+        if (size === 1) {
+            this.view.setUint8(offset, value);
+        } else if (size === 2) {
+            this.view.setUint16(offset, value);
+        } else if (size === 4) {
+            this.view.setUint32(offset, value);
+        } else if (size === 8) {
+            this.view.setBigUint64(offset, BigInt(value));
+        }
+    }
+
+    /**
+     * @param bytes {Uint8Array}
+     */
+    raw(bytes) {
+        let offset = this.reserve(bytes.length);
+        this.bytes.set(bytes, offset);
+    }
+}
+
+/**
+ * Writes header of str, bin, array or map with the given length.
+ * @param writer {ByteWriter}
+ * @param length {number}
+ * @param fix {number|null} Type byte of the fix variant, null when there is none
+ * @param fixMax {number} Maximum length of the fix variant
+ * @param types {number[]} Type bytes of 8, 16 and 32 bit variants (null when missing)
+ * @private
+ */
+function writeLength(writer, length, fix, fixMax, types) {
+    if (fix !== null && length <= fixMax) {
+        writer.head(fix | length, 0);
+    } else if (types[0] !== null && length <= 0xff) {
+        writer.head(types[0], 1, length);
+    } else if (length <= 0xffff) {
+        writer.head(types[1], 2, length);
+    } else {
+        writer.head(types[2], 4, length);
+    }
+}
+
+/**
+ * Writes a number using the smallest integer format, or float64.
+ * @param writer {ByteWriter}
+ * @param value {number}
+ * @private
+ */
+function writeNumber(writer, value) {
+    if (!Number.isSafeInteger(value)) {
+        let offset = writer.reserve(9);
+        writer.bytes[offset] = 0xcb;
+        writer.view.setFloat64(offset + 1, value);
+    } else if (value >= 0) {
+        if (value < 0x80) {
+            writer.head(value, 0);
+        } else if (value <= 0xff) {
+            writer.head(0xcc, 1, value);
+        } else if (value <= 0xffff) {
+            writer.head(0xcd, 2, value);
+        } else if (value <= 0xffffffff) {
+            writer.head(0xce, 4, value);
+        } else {
+            writer.head(0xcf, 8, value);
+        }
+    } else if (value >= -32) {
+        writer.head(value & 0xff, 0);
+    } else if (value >= -0x80) {
+        writer.head(0xd0, 1, value & 0xff);
+    } else if (value >= -0x8000) {
+        writer.head(0xd1, 2, value & 0xffff);
+    } else if (value >= -0x80000000) {
+        writer.head(0xd2, 4, value >>> 0);
+    } else {
+        writer.head(0xd3, 8, BigInt.asUintN(64, BigInt(value)));
+    }
+}
+
+/**
+ * Encodes a value, following JSON.stringify() conventions: `toJSON()` is
+ * used when present (dates become ISO strings), functions and undefined
+ * values are left out of objects and become nil elsewhere.
+ * @param writer {ByteWriter}
+ * @param value {*}
+ * @param depth {number}
+ * @private
+ */
+function writeValue(writer, value, depth) {
+    if (depth > MAX_DEPTH) {
+        throw new TypeError('Value is nested too deeply (cyclic?) for MessagePack');
+    }
+    if (value === null || typeof value === 'undefined' ||
+        typeof value === 'function' || typeof value === 'symbol') {
+        writer.head(0xc0, 0);
+    } else if (typeof value === 'boolean') {
+        writer.head(value ? 0xc3 : 0xc2, 0);
+    } else if (typeof value === 'number') {
+        writeNumber(writer, value);
+    } else if (typeof value === 'bigint') {
+        writer.head(value < 0 ? 0xd3 : 0xcf, 8, BigInt.asUintN(64, value));
+    } else if (typeof value === 'string') {
+        let bytes = new TextEncoder().encode(value);
+        writeLength(writer, bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+        writer.raw(bytes);
+    } else if (isBinaryData(value)) {
+        let bytes = toBytes(value);
+        writeLength(writer, bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+        writer.raw(bytes);
+    } else if (typeof value.toJSON === 'function') {
+        writeValue(writer, value.toJSON(), depth + 1);
+    } else if (Array.isArray(value)) {
+        writeLength(writer, value.length, 0x90, 15, [null, 0xdc, 0xdd]);
+        for (let item of value) {
+            writeValue(writer, item, depth + 1);
+        }
+    } else {
+        let keys = Object.keys(value).filter(function (key) {
+            let item = value[key];
+            return typeof item !== 'undefined' && typeof item !== 'function' && typeof item !== 'symbol';
+        });
+        writeLength(writer, keys.length, 0x80, 15, [null, 0xde, 0xdf]);
+        for (let key of keys) {
+            writeValue(writer, key, depth + 1);
+            writeValue(writer, value[key], depth + 1);
+        }
+    }
+}
+
+/**
+ * Cursor over MessagePack bytes.
+ * @private
+ */
+class ByteReader {
+
+    /**
+     * @param bytes {Uint8Array}
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    /**
+     * Returns offset of the next `size` bytes and skips them.
+     * @param size {number}
+     * @returns {number}
+     */
+    take(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new RangeError('MessagePack data is truncated');
+        }
+        let offset = this.offset;
+        this.offset += size;
+        return offset;
+    }
+
+    /**
+     * Reads unsigned integer of `size` bytes.
+     * @param size {number} 1, 2, 4 or 8
+     * @returns {number}
+     */
+    uint(size) {
+        let offset = this.take(size);
+        if (size === 1) {
+            return this.view.getUint8(offset);
+        } else if (size === 2) {
+            return this.view.getUint16(offset);
+        } else if (size === 4) {
+            return this.view.getUint32(offset);
+        }
+        return Number(this.view.getBigUint64(offset));
+    }
+
+    /**
+     * Reads signed integer of `size` bytes.
+     * @param size {number} 1, 2, 4 or 8
+     * @returns {number}
+     */
+    int(size) {
+        let offset = this.take(size);
+        if (size === 1) {
+            return this.view.getInt8(offset);
+        } else if (size === 2) {
+            return this.view.getInt16(offset);
+        } else if (size === 4) {
+            return this.view.getInt32(offset);
+        }
+        return Number(this.view.getBigInt64(offset));
+    }
+
+    /**
+     * @param length {number}
+     * @returns {Uint8Array}
+     */
+    raw(length) {
+        let offset = this.take(length);
+        return this.bytes.slice(offset, offset + length);
+    }
+
+    /**
+     * @param length {number}
+     * @returns {string}
+     */
+    str(length) {
+        let offset = this.take(length);
+        return new TextDecoder().decode(this.bytes.subarray(offset, offset + length));
+    }
+}
+
+/**
+ * Converts extension value. Timestamps (type -1) become ISO strings like
+ * the timestamps of JSON frames, other extensions are returned as
+ * `{extension, data}` objects.
+ * @param type {number} Extension type
+ * @param data {Uint8Array}
+ * @returns {string|object}
+ * @private
+ */
+function readExtension(type, data) {
+    if (type !== -1) {
+        return {extension: type, data: data};
+    }
+    let view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let seconds;
+    let nanoseconds = 0;
+    if (data.length === 4) {
+        seconds = view.getUint32(0);
+    } else if (data.length === 8) {
+        nanoseconds = view.getUint32(0) >>> 2;
+        seconds = (view.getUint32(0) & 0x3) * 0x100000000 + view.getUint32(4);
+    } else if (data.length === 12) {
+        nanoseconds = view.getUint32(0);
+        seconds = Number(view.getBigInt64(4));
+    } else {
+        throw new RangeError('Invalid MessagePack timestamp of ' + data.length + ' bytes');
+    }
+    return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6)).toISOString();
+}
+
+/**
+ * Reads `length` key/value pairs into an object.
+ * @param reader {ByteReader}
+ * @param length {number}
+ * @returns {object}
+ * @private
+ */
+function readMap(reader, length) {
+    let result = {};
+    for (let i = 0; i < length; i++) {
+        let key = String(readValue(reader));
+        let value = readValue(reader);
+        // like JSON.parse, "__proto__" is an ordinary key
+        Object.defineProperty(result, key, {value: value, enumerable: true, writable: true, configurable: true});
+    }
+    return result;
+}
+
+/**
+ * Reads `length` values into an array.
+ * @param reader {ByteReader}
+ * @param length {number}
+ * @returns {Array}
+ * @private
+ */
+function readArray(reader, length) {
+    let result = [];
+    for (let i = 0; i < length; i++) {
+        result.push(readValue(reader));
+    }
+    return result;
+}
+
+/**
+ * Reads the next value.
+ * @param reader {ByteReader}
+ * @returns {*}
+ * @private
+ */
+function readValue(reader) {
+    let type = reader.uint(1);
+    if (type <= 0x7f) {
+        return type;
+    } else if (type <= 0x8f) {
+        return readMap(reader, type & 0x0f);
+    } else if (type <= 0x9f) {
+        return readArray(reader, type & 0x0f);
+    } else if (type <= 0xbf) {
+        return reader.str(type & 0x1f);
+    } else if (type >= 0xe0) {
+        return type - 0x100;
+    }
+    switch (type) {
+        case 0xc0:
+            return null;
+        case 0xc2:
+            return false;
+        case 0xc3:
+            return true;
+        case 0xc4:
+            return reader.raw(reader.uint(1));
+        case 0xc5:
+            return reader.raw(reader.uint(2));
+        case 0xc6:
+            return reader.raw(reader.uint(4));
+        case 0xc7:
+        case 0xc8:
+        case 0xc9: {
+            let length = reader.uint(type === 0xc7 ? 1 : type === 0xc8 ? 2 : 4);
+            let extension = reader.int(1);
+            return readExtension(extension, reader.raw(length));
+        }
+        case 0xca:
+            return reader.view.getFloat32(reader.take(4));
+        case 0xcb:
+            return reader.view.getFloat64(reader.take(8));
+        case 0xcc:
+            return reader.uint(1);
+        case 0xcd:
+            return reader.uint(2);
+        case 0xce:
+            return reader.uint(4);
+        case 0xcf:
+            return reader.uint(8);
+        case 0xd0:
+            return reader.int(1);
+        case 0xd1:
+            return reader.int(2);
+        case 0xd2:
+            return reader.int(4);
+        case 0xd3:
+            return reader.int(8);
+        case 0xd4:
+        case 0xd5:
+        case 0xd6:
+        case 0xd7:
+        case 0xd8: {
+            let extension = reader.int(1);
+            return readExtension(extension, reader.raw(1 << (type - 0xd4)));
+        }
+        case 0xd9:
+            return reader.str(reader.uint(1));
+        case 0xda:
+            return reader.str(reader.uint(2));
+        case 0xdb:
+            return reader.str(reader.uint(4));
+        case 0xdc:
+            return readArray(reader, reader.uint(2));
+        case 0xdd:
+            return readArray(reader, reader.uint(4));
+        case 0xde:
+            return readMap(reader, reader.uint(2));
+        case 0xdf:
+            return readMap(reader, reader.uint(4));
+    }
+    throw new RangeError('Invalid MessagePack type 0x' + type.toString(16));
+}
+
+/**
+ * MessagePack binary format. Channel messages are encoded the same way
+ * as in JSON: maps with string keys, timestamps as ISO strings (timestamp
+ * extensions are decoded to ISO strings too). Binary values are
+ * supported as Uint8Array.
+ *
+ * @example
+ * conn.codec = new MessagePackCodec();
+ */
+export class MessagePackCodec {
+
+    constructor() {
+        this.name = 'MessagePack';
+        this.contentType = 'application/msgpack';
+        this.binary = true;
+    }
+
+    /**
+     * @param value {*}
+     * @returns {Uint8Array}
+     */
+    encode(value) {
+        let writer = new ByteWriter();
+        writeValue(writer, value, 0);
+        return writer.bytes.slice(0, writer.length);
+    }
+
+    /**
+     * @param data {ArrayBuffer|Uint8Array}
+     * @returns {*}
+     */
+    decode(data) {
+        if (!isBinaryData(data)) {
+            throw new TypeError('MessagePack data must be an ArrayBuffer or Uint8Array');
+        }
+        let reader = new ByteReader(toBytes(data));
+        let value = readValue(reader);
+        if (reader.offset !== reader.bytes.length) {
+            throw new RangeError('Unexpected data after MessagePack value');
+        }
+        return value;
+    }
+}
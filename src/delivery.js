@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Bookkeeping of delivered messages.
+ *
+ * Removes duplicates (e.g. overlapping long-poll and WebSocket delivery
+ * after reconnecting), orders messages by timestamp per channel and
+ * remembers the newest delivered timestamp of every channel so gaps
+ * after reconnection can be detected.
+ *
+ * @module delivery
+ */
+
+/**
+ * Converts server timestamp (ISO string or number) to milliseconds.
+ * @param timestamp {string|number}
+ * @returns {number|null} Milliseconds or null when missing/invalid
+ */
+export function timestampValue(timestamp) {
+    if (typeof timestamp === 'number') {
+        return timestamp;
+    }
+    if (!timestamp) {
+        return null;
+    }
+    let value = Date.parse(timestamp);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Returns key identifying delivery of the message. Edits and deletes
+ * carry uuid of the message they change, so their keys include the type
+ * and time of the change.
+ * @param message {object}
+ * @returns {string|null} Key or null when message has no uuid
+ * @private
+ */
+function deliveryKey(message) {
+    if (!message.uuid) {
+        return null;
+    }
+    if (!message.type || message.type === 'message') {
+        return message.uuid;
+    }
+    return message.type + '/' + message.uuid + '/' + (message.edited || message.timestamp || '');
+}
+
+/**
+ * Tracks delivered messages of a connection.
+ *
+ * @example
+ * let tracker = new ChannelStreamDeliveryTracker();
+ * let fresh = tracker.process(messages);
+ */
+export class ChannelStreamDeliveryTracker {
+
+    /**
+     * @param [options] {object}
+     * @param [options.maxSeen=1000] {number} Number of message uuids remembered
+     * for deduplication
+     * @param [options.deduplicate=true] {boolean} Whether to drop already seen messages
+     * @param [options.order=true] {boolean} Whether to sort messages by timestamp
+     */
+    constructor(options) {
+        options = options || {};
+        this.maxSeen = options.maxSeen || 1000;
+        this.deduplicate = options.deduplicate !== false;
+        this.order = options.order !== false;
+        /** Newest delivered timestamp (in milliseconds) keyed by channel name. */
+        this.lastTimestamps = {};
+        this._seen = new Set();
+        this._seenOrder = [];
+    }
+
+    /**
+     * Whether message with this uuid (or the same edit or delete) was
+     * already delivered.
+     * @param message {object}
+     * @returns {boolean}
+     */
+    isDuplicate(message) {
+        let key = deliveryKey(message);
+        return key !== null && this._seen.has(key);
+    }
+
+    /**
+     * Filters out duplicates, orders messages of each channel by timestamp
+     * and records them as delivered.
+     * @param messages {object[]} Messages received from the server
+     * @returns {object[]} Messages that should be delivered
+     */
+    process(messages) {
+        let result = [];
+        for (let message of messages) {
+            if (this.deduplicate && this.isDuplicate(message)) {
+                continue;
+            }
+            this._markSeen(message);
+            result.push(message);
+        }
+        if (this.order) {
+            this._sortByChannel(result);
+        }
+        return result;
+    }
+
+    /**
+     * Returns timestamp of newest message delivered for the channel.
+     * @param channel {string}
+     * @returns {number|null}
+     */
+    lastTimestamp(channel) {
+        return this.lastTimestamps.hasOwnProperty(channel) ? this.lastTimestamps[channel] : null;
+    }
+
+    /**
+     * Forgets all delivered messages.
+     */
+    reset() {
+        this.lastTimestamps = {};
+        this._seen.clear();
+        this._seenOrder = [];
+    }
+
+    /**
+     *
+     * @param message {object}
+     * @private
+     */
+    _markSeen(message) {
+        let key = deliveryKey(message);
+        if (key !== null && !this._seen.has(key)) {
+            this._seen.add(key);
+            this._seenOrder.push(key);
+            if (this._seenOrder.length > this.maxSeen) {
+                this._seen.delete(this._seenOrder.shift());
+            }
+        }
+        let value = timestampValue(message.timestamp);
+        if (message.channel && value !== null) {
+            let last = this.lastTimestamp(message.channel);
+            if (last === null || value > last) {
+                this.lastTimestamps[message.channel] = value;
+            }
+        }
+    }
+
+    /**
+     * Sorts timestamped messages of every channel in place, keeping the
+     * positions occupied by each channel so interleaving is preserved.
+     * @param messages {object[]}
+     * @private
+     */
+    _sortByChannel(messages) {
+        let slots = {};
+        messages.forEach(function (message, index) {
+            if (message.channel && timestampValue(message.timestamp) !== null) {
+                (slots[message.channel] = slots[message.channel] || []).push(index);
+            }
+        });
+        for (let channel of Object.keys(slots)) {
+            let indexes = slots[channel];
+            let sorted = indexes.map(function (index) {
+                return messages[index];
+            }).sort(function (a, b) {
+                return timestampValue(a.timestamp) - timestampValue(b.timestamp);
+            });
+            indexes.forEach(function (index, position) {
+                messages[index] = sorted[position];
+            });
+        }
+    }
+}
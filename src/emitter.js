@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Minimal event emitter built on top of EventTarget.
+ *
+ * Provides the `on()` / `off()` / `once()` API used by the Channelstream
+ * classes while delegating the actual dispatching to the platform
+ * EventTarget implementation.
+ *
+ * @module emitter
+ */
+
+/**
+ * Event dispatched by ChannelStreamEmitter.
+ * The arguments passed to `_emit()` are available as `detail`.
+ *
+ * @class ChannelStreamEvent
+ */
+export class ChannelStreamEvent extends Event {
+
+    /**
+     * @param type {string} Event name
+     * @param detail {Array} Arguments passed to the listeners
+     */
+    constructor(type, detail) {
+        super(type);
+        this.detail = detail;
+    }
+}
+
+/**
+ * EventTarget based emitter that calls listeners with plain arguments
+ * instead of event objects, so handlers registered with `on()` receive
+ * exactly the same arguments as the matching `*Callback` methods.
+ *
+ * @example
+ * conn.on('listenMessage', (messages) => console.log(messages));
+ */
+export class ChannelStreamEmitter extends EventTarget {
+
+    constructor() {
+        super();
+        /** Map of event name -> Map of handler -> EventTarget listener. */
+        this._listeners = new Map();
+    }
+
+    /**
+     * Registers a listener for the event.
+     * Listeners of `*` receive every event, with the event name
+     * as the first argument.
+     * @param type {string} Event name
+     * @param handler {function} Listener called with event arguments
+     * @returns {function} Function that removes the listener
+     */
+    on(type, handler) {
+        return this._addListener(type, handler, false);
+    }
+
+    /**
+     * Registers a listener that is removed after first call.
+     * @param type {string} Event name
+     * @param handler {function} Listener called with event arguments
+     * @returns {function} Function that removes the listener
+     */
+    once(type, handler) {
+        return this._addListener(type, handler, true);
+    }
+
+    /**
+     * Removes a listener previously registered with `on()` or `once()`.
+     * When called without handler removes all listeners for the event,
+     * when called without arguments removes every listener.
+     * @param [type] {string} Event name
+     * @param [handler] {function} Listener to remove
+     */
+    off(type, handler) {
+        if (typeof type === 'undefined') {
+            for (let eventType of Array.from(this._listeners.keys())) {
+                this.off(eventType);
+            }
+            return;
+        }
+        let handlers = this._listeners.get(type);
+        if (!handlers) {
+            return;
+        }
+        let toRemove = typeof handler === 'undefined' ? Array.from(handlers.keys()) : [handler];
+        for (let item of toRemove) {
+            let listener = handlers.get(item);
+            if (listener) {
+                this.removeEventListener(type, listener);
+                handlers.delete(item);
+            }
+        }
+        if (!handlers.size) {
+            this._listeners.delete(type);
+        }
+    }
+
+    /**
+     * Returns number of listeners registered for the event.
+     * @param type {string} Event name
+     * @returns {number}
+     */
+    listenerCount(type) {
+        let handlers = this._listeners.get(type);
+        return handlers ? handlers.size : 0;
+    }
+
+    /**
+     *
+     * @param type {string}
+     * @param handler {function}
+     * @param once {boolean}
+     * @returns {function}
+     * @private
+     */
+    _addListener(type, handler, once) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Listener for "' + type + '" must be a function');
+        }
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Map());
+        }
+        let handlers = this._listeners.get(type);
+        // same handler registered twice is only called once, like EventTarget
+        if (!handlers.has(handler)) {
+            let listener = function (event) {
+                if (once) {
+                    this.off(type, handler);
+                }
+                handler.apply(this, event.detail);
+            }.bind(this);
+            handlers.set(handler, listener);
+            this.addEventListener(type, listener);
+        }
+        return this.off.bind(this, type, handler);
+    }
+
+    /**
+     * Dispatches event to all registered listeners.
+     * @param type {string} Event name
+     * @param args {...*} Arguments passed to listeners
+     * @private
+     */
+    _emit(type, ...args) {
+        if (this._listeners.has(type)) {
+            this.dispatchEvent(new ChannelStreamEvent(type, args));
+        }
+        if (type !== '*' && this._listeners.has('*')) {
+            this.dispatchEvent(new ChannelStreamEvent('*', [type].concat(args)));
+        }
+    }
+}
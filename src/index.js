@@ -3,15 +3,79 @@
  *
  * Exports the main classes for connecting to Channelstream servers:
  * - ChannelStreamConnection: Real-time messaging client (WebSocket/long-poll)
- * - ChannelStreamSigner: Request signing for authenticated API calls
+ * - ConnectionState: Values of `connection.state`
+ * - ChannelStreamSharedConnection: Connection shared by browser tabs
+ * - ChannelStreamServerClient: Client of the Channelstream server REST API
+ * - ChannelConfigOptions, ChannelStreamConfigError: Channel configuration validation
+ * - ChannelStreamChannel: Per-channel handle returned by `connection.channel()`
+ * - ChannelStreamPresence: Presence model returned by `connection.presence()`
+ * - ChannelStreamMessageStore: Message store returned by `connection.messageStore()`
+ * - ChannelStreamRequestError: Error used to reject request promises
+ * - ChannelStreamDecodeError, MessageKind: Decoding of received messages
+ * - ChannelStreamSigner: itsdangerous compatible signing of API calls and tokens
+ * - ChannelStreamWebCryptoSigner: Asynchronous signer backed by WebCrypto
+ * - createAuthMutator: Mutator adding signed tokens to requests
+ * - ExponentialBackoff, LinearBackoff: Reconnection strategies
+ * - JSONCodec, MessagePackCodec: Wire formats of requests and frames
+ * - ChannelStreamOutboundQueue: Offline queue for outgoing messages (with storages)
+ * - ChannelStreamMessageBatch: Batching of outgoing messages
  *
  * @module channelstream-client
  */
 
-import {ChannelStreamConnection} from "./channelstream.js"
+import {ChannelStreamConnection, ConnectionState} from "./channelstream.js"
+import {ChannelStreamSharedConnection} from "./shared.js"
+import {ChannelStreamServerClient} from "./server.js"
+import {ChannelConfigOptions, ChannelStreamConfigError, validateChannelConfig} from "./channel-config.js"
+import {ChannelStreamChannel} from "./channel.js"
+import {ChannelStreamPresence} from "./presence.js"
+import {ChannelStreamMessageStore} from "./store.js"
+import {ChannelStreamRequestError} from "./request.js"
+import {ChannelStreamDecodeError, decodeFrame, decodeMessage, MessageKind} from "./messages.js"
 import {ChannelStreamSigner} from "./signer.js"
+import {ChannelStreamWebCryptoSigner} from "./webcrypto-signer.js"
+import {ChannelStreamSignatureError, ChannelStreamSignatureExpired} from "./signing.js"
+import {createAuthMutator} from "./auth.js"
+import {ExponentialBackoff, LinearBackoff} from "./reconnect.js"
+import {JSONCodec, MessagePackCodec} from "./codec.js"
+import {ChannelStreamMessageBatch} from "./batch.js"
+import {
+    ChannelStreamOutboundQueue,
+    createQueueStorage,
+    IndexedDBQueueStorage,
+    LocalStorageQueueStorage,
+    MemoryQueueStorage
+} from "./queue.js"
 
 export {
     ChannelStreamConnection,
-    ChannelStreamSigner
+    ConnectionState,
+    ChannelStreamSharedConnection,
+    ChannelStreamServerClient,
+    ChannelConfigOptions,
+    ChannelStreamConfigError,
+    validateChannelConfig,
+    ChannelStreamChannel,
+    ChannelStreamPresence,
+    ChannelStreamMessageStore,
+    ChannelStreamRequestError,
+    ChannelStreamDecodeError,
+    decodeFrame,
+    decodeMessage,
+    MessageKind,
+    ChannelStreamSigner,
+    ChannelStreamWebCryptoSigner,
+    ChannelStreamSignatureError,
+    ChannelStreamSignatureExpired,
+    createAuthMutator,
+    ExponentialBackoff,
+    LinearBackoff,
+    JSONCodec,
+    MessagePackCodec,
+    ChannelStreamOutboundQueue,
+    createQueueStorage,
+    IndexedDBQueueStorage,
+    LocalStorageQueueStorage,
+    MemoryQueueStorage,
+    ChannelStreamMessageBatch
 }
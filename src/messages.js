@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Decoding and validation of messages received from
+ * the Channelstream server.
+ *
+ * Every frame (WebSocket/SSE payload or long-poll response) is decoded
+ * with the connection codec into a list of messages of known kinds; malformed frames and messages
+ * failing validation are reported as ChannelStreamDecodeError instead of
+ * throwing inside transport handlers.
+ *
+ * @module messages
+ */
+
+import {codecFor, isBinaryData} from "./codec.js";
+
+/**
+ * Kinds of messages sent by the server (value of the `type` field).
+ * @enum {string}
+ */
+export const MessageKind = {
+    /** Regular message posted to a channel. */
+    MESSAGE: 'message',
+    /** Message was edited. */
+    EDIT: 'message:edit',
+    /** Message was deleted. */
+    DELETE: 'message:delete',
+    /** User joined or left a channel. */
+    PRESENCE: 'presence',
+    /** Public state of a user changed. */
+    USER_STATE_CHANGE: 'user_state_change',
+    /** Information about a channel changed. */
+    CHANNEL_INFO: 'channel_info'
+};
+
+/**
+ * Required fields and their types for every message kind.
+ * @private
+ */
+const REQUIRED_FIELDS = {
+    'message': {channel: 'string', uuid: 'string'},
+    'message:edit': {channel: 'string', uuid: 'string'},
+    'message:delete': {channel: 'string', uuid: 'string'},
+    'presence': {channel: 'string', user: 'string', message: 'object'},
+    'user_state_change': {user: 'string', message: 'object'},
+    'channel_info': {channel: 'string'}
+};
+
+/**
+ * Message kinds that are sent with `channel: null` when addressed
+ * directly to `pm_users`.
+ * @private
+ */
+const PRIVATE_KINDS = ['message', 'message:edit', 'message:delete'];
+
+/**
+ * Error describing a frame or message that could not be decoded.
+ */
+export class ChannelStreamDecodeError extends Error {
+
+    /**
+     * @param message {string} Error description
+     * @param payload {*} Offending frame or message
+     * @param [cause] {Error} Original exception (e.g. from JSON.parse)
+     */
+    constructor(message, payload, cause) {
+        super(message);
+        this.name = 'ChannelStreamDecodeError';
+        /** Offending frame or message. */
+        this.payload = payload;
+        /** Original exception, if any. */
+        this.cause = cause || null;
+    }
+}
+
+/**
+ * Validates a single message.
+ * @param message {object} Message received from the server
+ * @returns {object} The message
+ * @throws {ChannelStreamDecodeError} When message is of unknown kind or
+ * misses required fields
+ */
+export function decodeMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new ChannelStreamDecodeError('Message is not an object', message);
+    }
+    let fields = REQUIRED_FIELDS[message.type];
+    if (!fields) {
+        throw new ChannelStreamDecodeError('Unknown message type: ' + message.type, message);
+    }
+    for (let field of Object.keys(fields)) {
+        let value = message[field];
+        if (field === 'channel' && value === null && message.pm_users &&
+            PRIVATE_KINDS.indexOf(message.type) !== -1) {
+            continue;
+        }
+        if (value === null || typeof value !== fields[field]) {
+            throw new ChannelStreamDecodeError(
+                'Message of type ' + message.type + ' has invalid "' + field + '" field', message);
+        }
+    }
+    return message;
+}
+
+/**
+ * Decodes a frame into messages.
+ * @param frame {string|ArrayBuffer|Uint8Array|object|object[]} Encoded
+ * frame (text is always JSON) or already parsed payload
+ * @param [codec] {Codec} Codec of binary frames, defaults to JSONCodec
+ * @returns {{messages: object[], errors: ChannelStreamDecodeError[]}}
+ */
+export function decodeFrame(frame, codec) {
+    let result = {messages: [], errors: []};
+    let payload = frame;
+    if (typeof frame === 'string' || isBinaryData(frame)) {
+        let decoder = codecFor(frame, codec);
+        try {
+            payload = decoder.decode(frame);
+        } catch (exc) {
+            result.errors.push(new ChannelStreamDecodeError('Frame is not valid ' + decoder.name, frame, exc));
+            return result;
+        }
+    }
+    if (payload === null || typeof payload !== 'object') {
+        result.errors.push(new ChannelStreamDecodeError('Frame does not contain messages', frame));
+        return result;
+    }
+    for (let message of [].concat(payload)) {
+        // heartbeat replies only signal the connection is alive
+        if (message && message.type === 'heartbeat') {
+            continue;
+        }
+        try {
+            result.messages.push(decodeMessage(message));
+        } catch (exc) {
+            result.errors.push(exc);
+        }
+    }
+    return result;
+}
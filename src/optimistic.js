@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Bookkeeping of optimistic message changes.
+ *
+ * `message()`, `edit()` and `delete()` calls made in optimistic mode are
+ * applied locally right away and tagged with a client id. The tracker
+ * keeps them until the server echoes the change on the listen stream
+ * or the request fails and the change has to be rolled back.
+ *
+ * @module optimistic
+ */
+
+import {generateId} from "./utils.js";
+
+/**
+ * Maps echoed message types to request types of the changes they confirm.
+ * @private
+ */
+const ECHO_TYPES = {
+    'message': 'message',
+    'message:edit': 'messageEdit',
+    'message:delete': 'messageDelete'
+};
+
+/**
+ * Local change waiting for confirmation from the server.
+ * @typedef {object} OptimisticChange
+ * @property {string} clientId Client generated id, sent as `client_id`
+ * @property {string} type `message`, `messageEdit` or `messageDelete`
+ * @property {string} channel Channel of the message
+ * @property {string|null} uuid Edited or deleted message, null for new messages
+ * @property {object} body Original payload passed to message(), edit() or delete()
+ * @property {string} createdAt ISO timestamp of the change
+ */
+
+/**
+ * Returns client id carried by a message received from the server.
+ * Backends pass `client_id` of the request either as a field of the
+ * message or inside its payload (`message.client_id`).
+ * @param message {object} Message received from the server
+ * @returns {string|null}
+ */
+export function echoedClientId(message) {
+    if (message.client_id) {
+        return message.client_id;
+    }
+    let payload = message.message;
+    if (payload && typeof payload === 'object' && payload.client_id) {
+        return payload.client_id;
+    }
+    return null;
+}
+
+/**
+ * Tracks optimistic changes of a connection.
+ *
+ * @example
+ * let tracker = new ChannelStreamOptimisticTracker();
+ * let change = tracker.add('message', {channel: 'lobby', message: {text: 'Hi'}});
+ * let confirmed = tracker.match(echoedMessage);
+ */
+export class ChannelStreamOptimisticTracker {
+
+    constructor() {
+        this._changes = new Map();
+    }
+
+    /**
+     * Number of changes waiting for confirmation.
+     * @returns {number}
+     */
+    get size() {
+        return this._changes.size;
+    }
+
+    /**
+     * Creates change for the request, `client_id` of the body is reused
+     * when present.
+     * @param type {string} `message`, `messageEdit` or `messageDelete`
+     * @param body {object} Request payload
+     * @returns {OptimisticChange}
+     */
+    add(type, body) {
+        let change = {
+            clientId: body.client_id || generateId(),
+            type: type,
+            channel: body.channel,
+            uuid: type === 'message' ? null : body.uuid || null,
+            body: body,
+            createdAt: new Date().toISOString()
+        };
+        this._changes.set(change.clientId, change);
+        return change;
+    }
+
+    /**
+     * Finds and forgets the change confirmed by the message. Messages
+     * without client id confirm the oldest edit or delete of the same uuid.
+     * @param message {object} Message received from the server
+     * @returns {OptimisticChange|null}
+     */
+    match(message) {
+        let type = ECHO_TYPES[message.type || 'message'];
+        if (!type) {
+            return null;
+        }
+        let change = this._changes.get(echoedClientId(message));
+        if (!change && type !== 'message' && message.uuid) {
+            for (let candidate of this._changes.values()) {
+                if (candidate.type === type && candidate.uuid === message.uuid) {
+                    change = candidate;
+                    break;
+                }
+            }
+        }
+        if (!change || change.type !== type) {
+            return null;
+        }
+        this._changes.delete(change.clientId);
+        return change;
+    }
+
+    /**
+     * Forgets the change, returns false when it was already confirmed.
+     * @param change {OptimisticChange}
+     * @returns {boolean}
+     */
+    remove(change) {
+        if (this._changes.get(change.clientId) !== change) {
+            return false;
+        }
+        this._changes.delete(change.clientId);
+        return true;
+    }
+
+    /**
+     * Forgets changes of a channel that was left.
+     * @param channel {string}
+     */
+    dropChannel(channel) {
+        for (let change of Array.from(this._changes.values())) {
+            if (change.channel === channel) {
+                this._changes.delete(change.clientId);
+            }
+        }
+    }
+}
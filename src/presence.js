@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Presence tracking for Channelstream channels.
+ *
+ * Keeps the list of users present in a channel together with their public
+ * state. Seeded from `channels_info` returned by connect/subscribe calls and
+ * kept current with `presence` and `user_state_change` messages.
+ *
+ * @module presence
+ */
+
+import {ChannelStreamEmitter} from "./emitter.js";
+
+/**
+ * Returns presence model of the channel, creating it when missing.
+ * @param models {Map<string, ChannelStreamPresence>}
+ * @param channel {string}
+ * @returns {ChannelStreamPresence}
+ * @private
+ */
+function modelFor(models, channel) {
+    if (!models.has(channel)) {
+        models.set(channel, new ChannelStreamPresence(channel));
+    }
+    return models.get(channel);
+}
+
+/**
+ * Seeds presence models from `channels_info` returned by
+ * connect/subscribe calls.
+ * @param models {Map<string, ChannelStreamPresence>} Models keyed by
+ * channel name, missing ones are created
+ * @param data {object} Server response
+ */
+export function syncPresence(models, data) {
+    let info = data && data.channels_info;
+    if (!info || !info.channels) {
+        return;
+    }
+    let userStates = {};
+    for (let user of info.users || []) {
+        userStates[user.user] = user.state || {};
+    }
+    for (let name of Object.keys(info.channels)) {
+        modelFor(models, name).sync(info.channels[name], userStates);
+    }
+}
+
+/**
+ * Updates presence models with `presence` and `user_state_change` messages.
+ * @param models {Map<string, ChannelStreamPresence>} Models keyed by
+ * channel name, missing ones are created
+ * @param messages {object[]} Messages received from the server
+ */
+export function applyPresence(models, messages) {
+    for (let message of messages) {
+        if (message.type !== 'presence' && message.type !== 'user_state_change') {
+            continue;
+        }
+        if (message.channel) {
+            modelFor(models, message.channel).apply(message);
+            continue;
+        }
+        // state changes without channel apply wherever the user is present
+        for (let presence of models.values()) {
+            presence.apply(message);
+        }
+    }
+}
+
+/**
+ * Presence model of a single channel, obtained with
+ * `connection.presence(name)` or `connection.channel(name).presence`.
+ *
+ * Events:
+ * - `join` (user) - user joined the channel
+ * - `leave` (user) - user left the channel
+ * - `update` (user, changed) - public state of present user changed
+ * - `change` (diff) - any change, diff has `joined`, `left` and `updated`
+ *   lists of users
+ *
+ * Users are objects with `user` (username) and `state` (public state).
+ *
+ * @example
+ * let presence = conn.presence('lobby');
+ * presence.on('change', () => render(presence.list()));
+ */
+export class ChannelStreamPresence extends ChannelStreamEmitter {
+
+    /**
+     * @param channel {string} Channel name
+     */
+    constructor(channel) {
+        super();
+        /** Channel name. */
+        this.channel = channel;
+        /** Present users keyed by username. */
+        this.users = new Map();
+    }
+
+    /**
+     * Number of present users.
+     * @returns {number}
+     */
+    get size() {
+        return this.users.size;
+    }
+
+    /**
+     * Whether the user is present in the channel.
+     * @param username {string}
+     * @returns {boolean}
+     */
+    has(username) {
+        return this.users.has(username);
+    }
+
+    /**
+     * Returns present user.
+     * @param username {string}
+     * @returns {object|undefined}
+     */
+    get(username) {
+        return this.users.get(username);
+    }
+
+    /**
+     * Returns list of present users.
+     * @returns {object[]}
+     */
+    list() {
+        return Array.from(this.users.values());
+    }
+
+    /**
+     * Replaces present users with the list from channel information.
+     * Emits events for differences against the current list.
+     * @param channelInfo {object} Channel entry of `channels_info.channels`
+     * @param [userStates] {object} Public states keyed by username
+     */
+    sync(channelInfo, userStates) {
+        userStates = userStates || {};
+        let diff = {joined: [], left: [], updated: []};
+        let present = new Set();
+        for (let entry of channelInfo.users || []) {
+            let username = typeof entry === 'string' ? entry : entry.user;
+            let state = userStates.hasOwnProperty(username) ? userStates[username] : (entry.state || {});
+            present.add(username);
+            let current = this.users.get(username);
+            if (!current) {
+                diff.joined.push(this._set(username, state));
+            } else if (JSON.stringify(current.state) !== JSON.stringify(state)) {
+                current.state = state;
+                diff.updated.push(current);
+            }
+        }
+        for (let [username, user] of Array.from(this.users)) {
+            if (!present.has(username)) {
+                this.users.delete(username);
+                diff.left.push(user);
+            }
+        }
+        this._emitDiff(diff, null);
+    }
+
+    /**
+     * Applies `presence` or `user_state_change` message.
+     * @param message {object} Message received from the server
+     */
+    apply(message) {
+        let username = message.user;
+        let payload = message.message || {};
+        let diff = {joined: [], left: [], updated: []};
+        let changed = null;
+        if (message.type === 'presence') {
+            if (payload.action === 'joined' && !this.users.has(username)) {
+                diff.joined.push(this._set(username, message.state || payload.state || {}));
+            } else if (payload.action === 'parted' && this.users.has(username)) {
+                diff.left.push(this.users.get(username));
+                this.users.delete(username);
+            }
+        } else if (message.type === 'user_state_change' && this.users.has(username)) {
+            let user = this.users.get(username);
+            user.state = Object.assign({}, user.state, payload.state);
+            changed = payload.changed || [];
+            diff.updated.push(user);
+        }
+        this._emitDiff(diff, changed);
+    }
+
+    /**
+     * Removes all users without emitting events.
+     */
+    clear() {
+        this.users.clear();
+    }
+
+    /**
+     *
+     * @param username {string}
+     * @param state {object}
+     * @returns {object}
+     * @private
+     */
+    _set(username, state) {
+        let user = {user: username, state: state};
+        this.users.set(username, user);
+        return user;
+    }
+
+    /**
+     *
+     * @param diff {object}
+     * @param changed {object[]|null}
+     * @private
+     */
+    _emitDiff(diff, changed) {
+        if (!diff.joined.length && !diff.left.length && !diff.updated.length) {
+            return;
+        }
+        for (let user of diff.joined) {
+            this._emit('join', user);
+        }
+        for (let user of diff.left) {
+            this._emit('leave', user);
+        }
+        for (let user of diff.updated) {
+            this._emit('update', user, changed);
+        }
+        this._emit('change', diff);
+    }
+}
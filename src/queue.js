@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Outbound queue for operations issued while offline.
+ *
+ * Holds `message()`, `edit()` and `delete()` calls made while the
+ * connection is down (or failing with network errors), persists them
+ * across page reloads and replays them in order after reconnecting.
+ *
+ * @module queue
+ */
+
+import {ChannelStreamEmitter} from "./emitter.js";
+import {generateId} from "./utils.js";
+
+/**
+ * Keeps queued items in memory only.
+ */
+export class MemoryQueueStorage {
+
+    constructor() {
+        this._items = [];
+    }
+
+    /**
+     * @returns {Promise<object[]>} Stored items
+     */
+    load() {
+        return Promise.resolve(this._items.slice());
+    }
+
+    /**
+     * @param items {object[]} Items to store
+     * @returns {Promise}
+     */
+    save(items) {
+        this._items = items.slice();
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Persists queued items as JSON in `localStorage`.
+ */
+export class LocalStorageQueueStorage {
+
+    /**
+     * @param [key] {string} Storage key
+     * @param [storage] {Storage} Storage implementation, defaults to `localStorage`
+     */
+    constructor(key, storage) {
+        this.key = key || 'channelstream-outbound';
+        this.storage = storage || globalThis.localStorage;
+    }
+
+    /**
+     * @returns {Promise<object[]>} Stored items
+     */
+    load() {
+        return new Promise((resolve) => {
+            resolve(JSON.parse(this.storage.getItem(this.key)) || []);
+        });
+    }
+
+    /**
+     * @param items {object[]} Items to store
+     * @returns {Promise}
+     */
+    save(items) {
+        return new Promise((resolve) => {
+            if (items.length) {
+                this.storage.setItem(this.key, JSON.stringify(items));
+            } else {
+                this.storage.removeItem(this.key);
+            }
+            resolve();
+        });
+    }
+}
+
+/**
+ * Persists queued items in IndexedDB.
+ */
+export class IndexedDBQueueStorage {
+
+    /**
+     * @param [key] {string} Key the items are stored under
+     * @param [dbName] {string} Database name
+     * @param [indexedDB] {IDBFactory} IndexedDB implementation, defaults to `indexedDB`
+     */
+    constructor(key, dbName, indexedDB) {
+        this.key = key || 'channelstream-outbound';
+        this.dbName = dbName || 'channelstream';
+        this.storeName = 'outbound';
+        this.indexedDB = indexedDB || globalThis.indexedDB;
+        this._db = null;
+    }
+
+    /**
+     * Opens (and creates if needed) the database.
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                let request = this.indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * Runs a single operation in a transaction.
+     * @param mode {string} Transaction mode
+     * @param operation {function} Receives object store, returns IDBRequest
+     * @returns {Promise<*>} Request result
+     * @private
+     */
+    _run(mode, operation) {
+        return this._open().then((db) => new Promise((resolve, reject) => {
+            let transaction = db.transaction(this.storeName, mode);
+            let request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * @returns {Promise<object[]>} Stored items
+     */
+    load() {
+        return this._run('readonly', (store) => store.get(this.key)).then((items) => items || []);
+    }
+
+    /**
+     * @param items {object[]} Items to store
+     * @returns {Promise}
+     */
+    save(items) {
+        return this._run('readwrite', (store) => store.put(items, this.key));
+    }
+}
+
+/**
+ * Returns the best storage available in current environment:
+ * IndexedDB, then localStorage, then memory.
+ * @param [key] {string} Key the items are stored under
+ * @returns {MemoryQueueStorage|LocalStorageQueueStorage|IndexedDBQueueStorage}
+ */
+export function createQueueStorage(key) {
+    if (globalThis.indexedDB) {
+        return new IndexedDBQueueStorage(key);
+    }
+    try {
+        if (globalThis.localStorage) {
+            return new LocalStorageQueueStorage(key);
+        }
+    } catch (exc) {
+        // accessing localStorage throws when storage is disabled
+    }
+    return new MemoryQueueStorage();
+}
+
+/**
+ * Queue of outgoing operations replayed in order once the connection
+ * is re-established.
+ *
+ * Events:
+ * - `queued` (item) - operation was added to the queue
+ * - `sent` (item, response) - queued operation was delivered
+ * - `dropped` (item, reason, error) - operation was discarded, reason is
+ *   `overflow` (queue full), `expired` (older than `maxAge`),
+ *   `rejected` (server responded with an error) or `cleared` (clear() call)
+ * - `storageError` (operation, error) - storage failed to `load` or `save`
+ *   items, the queue keeps working in memory
+ *
+ * @example
+ * conn.outboundQueue = new ChannelStreamOutboundQueue();
+ * conn.outboundQueue.on('dropped', (item, reason) => console.log(item, reason));
+ */
+export class ChannelStreamOutboundQueue extends ChannelStreamEmitter {
+
+    /**
+     * @param [storage] {object} Storage with `load()` and `save(items)`
+     * methods, defaults to result of `createQueueStorage()`
+     * @param [options] {object}
+     * @param [options.maxSize=100] {number} Maximum number of queued items,
+     * oldest items are dropped first
+     * @param [options.maxAge=0] {number} Maximum age of items in
+     * milliseconds when replayed, 0 disables expiration
+     */
+    constructor(storage, options) {
+        super();
+        options = options || {};
+        this.storage = storage || createQueueStorage();
+        /** Maximum number of queued items. */
+        this.maxSize = options.maxSize || 100;
+        /** Maximum age of queued items in milliseconds, 0 disables expiration. */
+        this.maxAge = options.maxAge || 0;
+        /** Queued items in replay order. */
+        this.items = [];
+        /** Promise callbacks of items queued in this session, keyed by item id. */
+        this._pending = new Map();
+        this._flushing = null;
+        this._flushAgain = false;
+        // items persisted by previous sessions go first
+        this._loaded = this.storage.load().then((items) => {
+            this.items = items.concat(this.items);
+        }, (error) => {
+            this._emit('storageError', 'load', error);
+        });
+    }
+
+    /**
+     * Number of queued items.
+     * @returns {number}
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Adds operation to the queue.
+     * @param type {string} Request type (`message`, `messageEdit`, `messageDelete`)
+     * @param body {object} Request payload
+     * @param [idempotencyKey] {string} Key of the operation reused by replays,
+     * defaults to the item id
+     * @returns {Promise<object>} Resolves with server response once the
+     * item is replayed, rejects when it gets dropped
+     */
+    add(type, body, idempotencyKey) {
+        let item = {
+            id: generateId(),
+            type: type,
+            body: body,
+            idempotencyKey: idempotencyKey || null,
+            queuedAt: Date.now()
+        };
+        let promise = new Promise((resolve, reject) => {
+            this._pending.set(item.id, {resolve: resolve, reject: reject});
+        });
+        promise.catch(function () {
+        });
+        this.items.push(item);
+        this._emit('queued', item);
+        while (this.items.length > this.maxSize) {
+            this._drop(this.items[0], 'overflow', null);
+        }
+        this._persist();
+        return promise;
+    }
+
+    /**
+     * Removes all queued items without sending them.
+     */
+    clear() {
+        for (let item of this.items.slice()) {
+            this._drop(item, 'cleared', null);
+        }
+        this._persist();
+    }
+
+    /**
+     * Replays queued items one by one in order.
+     * Replay stops on network errors, items rejected by the server are dropped.
+     * @param send {function} Receives an item, returns a promise rejecting
+     * with ChannelStreamRequestError on failure
+     * @returns {Promise}
+     */
+    flush(send) {
+        if (this._flushing) {
+            // items added after the replay passed them are sent by another pass
+            this._flushAgain = true;
+            return this._flushing;
+        }
+        this._flushAgain = false;
+        this._flushing = this._loaded.then(() => this._flushNext(send)).then((completed) => {
+            this._flushing = null;
+            if (completed && this._flushAgain && this.items.length) {
+                return this.flush(send);
+            }
+        });
+        return this._flushing;
+    }
+
+    /**
+     * Whether queued items are being replayed.
+     * @returns {boolean}
+     */
+    get flushing() {
+        return this._flushing !== null;
+    }
+
+    /**
+     *
+     * @param send {function}
+     * @returns {Promise<boolean>} Resolves with false when replay stopped on network error
+     * @private
+     */
+    _flushNext(send) {
+        let item = this.items[0];
+        if (!item) {
+            return Promise.resolve(true);
+        }
+        if (this.maxAge && Date.now() - item.queuedAt > this.maxAge) {
+            this._drop(item, 'expired', null);
+            this._persist();
+            return this._flushNext(send);
+        }
+        return send(item).then((response) => {
+            this._remove(item);
+            this._persist();
+            this._emit('sent', item, response);
+            let pending = this._pending.get(item.id);
+            if (pending) {
+                this._pending.delete(item.id);
+                pending.resolve(response);
+            }
+            return this._flushNext(send);
+        }, (error) => {
+            // still offline, keep item for next replay
+            if (!error.status) {
+                return false;
+            }
+            this._drop(item, 'rejected', error);
+            this._persist();
+            return this._flushNext(send);
+        });
+    }
+
+    /**
+     *
+     * @param item {object}
+     * @private
+     */
+    _remove(item) {
+        let index = this.items.indexOf(item);
+        if (index !== -1) {
+            this.items.splice(index, 1);
+        }
+    }
+
+    /**
+     *
+     * @param item {object}
+     * @param reason {string}
+     * @param error {Error|null}
+     * @private
+     */
+    _drop(item, reason, error) {
+        this._remove(item);
+        this._emit('dropped', item, reason, error);
+        let pending = this._pending.get(item.id);
+        if (pending) {
+            this._pending.delete(item.id);
+            pending.reject(error || new Error('Queued ' + item.type + ' dropped (' + reason + ')'));
+        }
+    }
+
+    /**
+     * Saves current items, storage errors keep the queue in memory only.
+     * @private
+     */
+    _persist() {
+        this._loaded.then(() => this.storage.save(this.items)).catch((error) => {
+            this._emit('storageError', 'save', error);
+        });
+    }
+}
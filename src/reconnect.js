@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Reconnection strategies for ChannelStreamConnection.
+ *
+ * A strategy decides how long to wait before the next reconnection
+ * attempt and when to give up. Any object implementing `next()` and
+ * `reset()` can be used as `connection.reconnectStrategy`.
+ *
+ * @module reconnect
+ */
+
+/**
+ * Exponential backoff with random jitter.
+ *
+ * @example
+ * conn.reconnectStrategy = new ExponentialBackoff({maxAttempts: 10});
+ */
+export class ExponentialBackoff {
+
+    /**
+     * @param [options] {object}
+     * @param [options.initialDelay=1000] {number} Delay before first attempt in milliseconds
+     * @param [options.maxDelay=60000] {number} Maximum delay in milliseconds
+     * @param [options.factor=2] {number} Multiplier applied after every attempt
+     * @param [options.jitter=0.5] {number} Fraction of the delay randomized (0-1),
+     * spreads reconnecting clients after server outages
+     * @param [options.maxAttempts=0] {number} Attempts before giving up, 0 retries forever
+     */
+    constructor(options) {
+        options = options || {};
+        this.initialDelay = options.initialDelay || 1000;
+        this.maxDelay = options.maxDelay || 60000;
+        this.factor = options.factor || 2;
+        this.jitter = typeof options.jitter === 'number' ? options.jitter : 0.5;
+        this.maxAttempts = options.maxAttempts || 0;
+        /** Number of attempts since last reset(). */
+        this.attempts = 0;
+    }
+
+    /**
+     * Returns delay before the next attempt.
+     * @returns {number|null} Delay in milliseconds, null to give up
+     */
+    next() {
+        if (this.maxAttempts && this.attempts >= this.maxAttempts) {
+            return null;
+        }
+        let delay = Math.min(this.initialDelay * Math.pow(this.factor, this.attempts), this.maxDelay);
+        this.attempts += 1;
+        return Math.round(delay * (1 - this.jitter * Math.random()));
+    }
+
+    /**
+     * Called after successful connection.
+     */
+    reset() {
+        this.attempts = 0;
+    }
+}
+
+/**
+ * Delay growing by fixed increment, the strategy used by previous
+ * versions of the client.
+ */
+export class LinearBackoff {
+
+    /**
+     * @param [options] {object}
+     * @param [options.increment=2000] {number} Delay increment in milliseconds
+     * @param [options.maxDelay=60000] {number} Maximum delay in milliseconds
+     * @param [options.maxAttempts=0] {number} Attempts before giving up, 0 retries forever
+     */
+    constructor(options) {
+        options = options || {};
+        this.increment = options.increment || 2000;
+        this.maxDelay = options.maxDelay || 60000;
+        this.maxAttempts = options.maxAttempts || 0;
+        /** Number of attempts since last reset(). */
+        this.attempts = 0;
+    }
+
+    /**
+     * Returns delay before the next attempt.
+     * @returns {number|null} Delay in milliseconds, null to give up
+     */
+    next() {
+        if (this.maxAttempts && this.attempts >= this.maxAttempts) {
+            return null;
+        }
+        this.attempts += 1;
+        return Math.min(this.increment * this.attempts, this.maxDelay);
+    }
+
+    /**
+     * Called after successful connection.
+     */
+    reset() {
+        this.attempts = 0;
+    }
+}
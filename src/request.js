@@ -0,0 +1,409 @@
+/**
+ * @fileoverview HTTP request layer used by the Channelstream client.
+ *
+ * Wraps `fetch()` with payload encoding (JSON by default), per-request timeouts,
+ * AbortSignal support, retries and callback based result reporting.
+ *
+ * @module request
+ */
+
+import {ExponentialBackoff} from "./reconnect.js";
+import {codecFor} from "./codec.js";
+import {reportError} from "./utils.js";
+
+/**
+ * Retry policy of a request type.
+ * @typedef {object} RetryPolicy
+ * @property {number} [attempts=3] Maximum number of attempts, including the first one
+ * @property {number[]} [statuses=[502, 503, 504]] HTTP statuses that are retried
+ * @property {boolean} [network=true] Whether network errors and timeouts are retried
+ * @property {object|function} [backoff] Options of ExponentialBackoff
+ * (`initialDelay` 500 and `maxDelay` 10000 by default) or function
+ * receiving the number of attempts made and returning delay in milliseconds
+ * @property {boolean} [idempotencyKey=true] Whether to send idempotency key
+ * header, the same key is used by all attempts
+ */
+
+/**
+ * HTTP statuses retried when the policy doesn't list them.
+ * @private
+ */
+const RETRY_STATUSES = [502, 503, 504];
+
+/**
+ * Error used to reject promises returned by ChannelStreamConnection
+ * request methods.
+ *
+ * @example
+ * try {
+ *     await conn.subscribe(['lobby']);
+ * } catch (error) {
+ *     console.log(error.type, error.status, error.body);
+ * }
+ */
+export class ChannelStreamRequestError extends Error {
+
+    /**
+     * @param type {string} Request type (`connect`, `subscribe`, `message`, etc.)
+     * @param request {ChannelStreamRequest} Failed request
+     * @param body {object|string} Parsed response body
+     * @param [status] {number} Status overriding the status of the request,
+     * used for messages rejected within a batch
+     */
+    constructor(type, request, body, status) {
+        status = status || (request && request.status ? request.status : 0);
+        let reason = 'http';
+        if (request && request.timedOut) {
+            reason = 'timeout';
+        } else if (request && request.aborted) {
+            reason = 'abort';
+        } else if (!status) {
+            reason = 'network';
+        }
+        super(type + ' request failed (' + reason + (status ? ' ' + status : '') + ')');
+        this.name = 'ChannelStreamRequestError';
+        /** Request type, same as the mutator type used for the request. */
+        this.type = type;
+        /** HTTP status code, 0 when no response was received. */
+        this.status = status;
+        /** Parsed response body. */
+        this.body = body;
+        /**
+         * Why the request failed: `http` (error status), `network`,
+         * `timeout` or `abort`.
+         */
+        this.reason = reason;
+        /** The underlying request object. */
+        this.request = request;
+    }
+}
+
+/**
+ * Internal helper class for making AJAX requests with encoded payloads.
+ * Provides a consistent interface for HTTP operations with customizable
+ * response/error handlers. Used internally by ChannelStreamConnection.
+ *
+ * Mutators can modify `url`, `body`, `headers`, `timeout` and
+ * `credentials` before the request is executed. Asynchronous mutators
+ * return a promise, the request waits for them in `ready`.
+ *
+ * @class ChannelStreamRequest
+ * @private
+ */
+export class ChannelStreamRequest {
+
+    constructor() {
+        /** Request type, same as the mutator type used to create it. */
+        this.type = '';
+        /** Custom headers to send with the request, list of `{name, value}` objects. */
+        this.headers = [];
+        /** Request body (encoded with `codec` if present). */
+        this.body = null;
+        /** Codec of the body and response, null uses JSON. */
+        this.codec = null;
+        /** Target URL for the request. */
+        this.url = '';
+        /** Request timeout in milliseconds, 0 disables the timeout. */
+        this.timeout = 0;
+        /** Optional AbortSignal that cancels the request. */
+        this.signal = null;
+        /** fetch() implementation, defaults to the global `fetch`. */
+        this.fetch = null;
+        /** fetch() credentials mode (`omit`, `same-origin`, `include`). */
+        this.credentials = 'same-origin';
+        /** Whether the request may outlive the page (fetch() `keepalive`). */
+        this.keepalive = false;
+        /** fetch() Response instance (populated after response arrives). */
+        this.response = null;
+        /** HTTP status code, 0 until response arrives or on network errors. */
+        this.status = 0;
+        /** Error thrown by fetch() for network failures. */
+        this.error = null;
+        /** Whether the request was cancelled because of the timeout. */
+        this.timedOut = false;
+        /** Whether the request was cancelled by abort() or the signal. */
+        this.aborted = false;
+        /**
+         * Promise of asynchronous mutators, the request is sent once it
+         * resolves and fails like a network error when it rejects.
+         */
+        this.ready = null;
+        /** RetryPolicy applied to failed attempts, null disables retries. */
+        this.retry = null;
+        /** Number of attempts sent so far. */
+        this.attempts = 0;
+        /** Key identifying the operation, sent in the idempotency header. */
+        this.idempotencyKey = null;
+        this._controller = null;
+        this._backoff = null;
+        this._retryTimer = null;
+        this._retryAbort = null;
+    }
+
+    /**
+     * Placeholder for error handling function
+     * @param request {ChannelStreamRequest}
+     * @param respText
+     */
+    handleError(request, respText) {
+        console.error('request', request);
+        console.error('respText', respText);
+    };
+
+    /**
+     * Placeholder for sucessful response handler
+     * @param request {ChannelStreamRequest}
+     * @param respText
+     */
+    handleResponse(request, respText) {
+        console.info('request', request);
+        console.info('respText', respText);
+    };
+
+    /**
+     * Placeholder for in-progress request handler.
+     * Called once the request was sent (e.g., for long-poll connections).
+     * @param request {ChannelStreamRequest} The in-progress request
+     */
+    handleRequest(request) {
+    };
+
+    /**
+     * Placeholder for retry handler.
+     * Called when a failed attempt is going to be repeated.
+     * @param request {ChannelStreamRequest} The failed request
+     * @param delay {number} Milliseconds before the next attempt
+     */
+    handleRetry(request, delay) {
+    };
+
+    /**
+     * Cancels the request, error handler will be called.
+     */
+    abort() {
+        this.aborted = true;
+        if (this._retryTimer) {
+            this._clearRetry();
+            this.handleError(this, null);
+            return;
+        }
+        if (this._controller) {
+            this._controller.abort();
+        }
+    }
+
+    /**
+     * Returns delay before the next attempt or null when the failure
+     * should be reported.
+     * @returns {number|null}
+     * @private
+     */
+    _retryDelay() {
+        let policy = this.retry;
+        if (!policy || this.aborted || this.attempts >= (policy.attempts || 3)) {
+            return null;
+        }
+        let retryable = this.status ?
+            (policy.statuses || RETRY_STATUSES).indexOf(this.status) !== -1 :
+            policy.network !== false;
+        if (!retryable) {
+            return null;
+        }
+        let delay;
+        if (typeof policy.backoff === 'function') {
+            delay = policy.backoff(this.attempts);
+        } else {
+            if (!this._backoff) {
+                this._backoff = new ExponentialBackoff(
+                    Object.assign({initialDelay: 500, maxDelay: 10000}, policy.backoff));
+            }
+            delay = this._backoff.next();
+        }
+        if (delay === null || typeof delay === 'undefined') {
+            return null;
+        }
+        // servers under load may ask for a longer pause
+        let retryAfter = this.response && this.response.headers ?
+            parseFloat(this.response.headers.get('Retry-After')) : NaN;
+        if (retryAfter > 0) {
+            delay = Math.max(delay, retryAfter * 1000);
+        }
+        return delay;
+    }
+
+    /**
+     * Retries the request when its policy allows it, otherwise calls
+     * the error handler.
+     * @param verb {string} HTTP verb of the request
+     * @param result {object|string|null} Parsed response body
+     * @private
+     */
+    _fail(verb, result) {
+        let delay = this._retryDelay();
+        if (delay === null) {
+            this.handleError(this, result);
+            return;
+        }
+        this._retryTimer = setTimeout(function () {
+            this._clearRetry();
+            this.response = null;
+            this.status = 0;
+            this.error = null;
+            this.timedOut = false;
+            this.execute(verb);
+        }.bind(this), delay);
+        if (this.signal) {
+            this._retryAbort = this.abort.bind(this);
+            this.signal.addEventListener('abort', this._retryAbort);
+        }
+        this.handleRetry(this, delay);
+    }
+
+    /**
+     *
+     * @private
+     */
+    _clearRetry() {
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        if (this._retryAbort) {
+            this.signal.removeEventListener('abort', this._retryAbort);
+            this._retryAbort = null;
+        }
+    }
+
+    /**
+     * Returns headers as a plain object, adding content type of the
+     * codec when body is present.
+     * @returns {object}
+     * @private
+     */
+    _buildHeaders() {
+        let headers = {};
+        let codec = codecFor(null, this.codec);
+        if (this.body) {
+            headers['Content-Type'] = codec.contentType;
+        }
+        if (codec.binary) {
+            headers['Accept'] = codec.contentType + ', application/json';
+        }
+        if (Array.isArray(this.headers)) {
+            for (let header of this.headers) {
+                headers[header.name] = header.value;
+            }
+        } else if (this.headers) {
+            Object.assign(headers, this.headers);
+        }
+        return headers;
+    }
+
+    /**
+     * Handles fetched response, routes to appropriate callback based
+     * on the status code.
+     * @param response {Response}
+     * @param data {string|ArrayBuffer} Response body, binary for binary codecs
+     * @param verb {string} HTTP verb of the request
+     * @private
+     */
+    _handleFetchResponse(response, data, verb) {
+        let result = data;
+        let codec = codecFor(data, this.codec);
+        // JSON error responses of backends using a binary codec
+        let contentType = response.headers ? response.headers.get('Content-Type') || '' : '';
+        if (codec.binary && contentType.indexOf('json') !== -1) {
+            codec = codecFor(null, null);
+        }
+        // Attempt to decode response (gracefully handles undecodable bodies)
+        try {
+            result = codec.decode(data);
+        } catch (exc) {
+            // Keep raw text if body can't be decoded
+            result = typeof data === 'string' ? data : new TextDecoder().decode(data);
+        }
+        this.response = response;
+        this.status = response.status;
+        // 2xx = success, everything else = error
+        if (response.ok) {
+            this.handleResponse(this, result);
+        } else {
+            this._fail(verb, result);
+        }
+    }
+
+    /**
+     * Executes the AJAX request with the specified HTTP verb.
+     * Automatically encodes body if present, defaults to POST with body or GET without.
+     * @param verb {string} HTTP verb (GET, POST, PATCH, DELETE, etc.)
+     */
+    execute(verb) {
+        if (this.ready) {
+            let ready = this.ready;
+            this.ready = null;
+            ready.then(this.execute.bind(this, verb), function (error) {
+                this.error = error;
+                this.handleError(this, null);
+            }.bind(this)).catch(reportError);
+            return;
+        }
+        let controller = new AbortController();
+        let signal = this.signal;
+        let timer = null;
+        let onAbort = this.abort.bind(this);
+        this._controller = controller;
+
+        // aborted while waiting for asynchronous mutators
+        if (this.aborted) {
+            controller.abort();
+        }
+        if (signal) {
+            if (signal.aborted) {
+                this.aborted = true;
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', onAbort);
+            }
+        }
+        if (this.timeout > 0) {
+            timer = setTimeout(function () {
+                this.timedOut = true;
+                controller.abort();
+            }.bind(this), this.timeout);
+        }
+        let cleanup = function () {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        this.attempts += 1;
+        let init = {
+            method: verb || (this.body ? 'POST' : 'GET'),
+            headers: this._buildHeaders(),
+            credentials: this.credentials,
+            keepalive: this.keepalive,
+            signal: controller.signal
+        };
+        let codec = codecFor(null, this.codec);
+        // With body: serialize with the codec
+        if (this.body) {
+            init.body = codec.encode(this.body);
+        }
+
+        let fetchImpl = this.fetch || globalThis.fetch;
+        fetchImpl(this.url, init).then(function (response) {
+            let body = codec.binary ? response.arrayBuffer() : response.text();
+            return body.then(function (data) {
+                return [response, data];
+            });
+        }).then(function ([response, data]) {
+            cleanup();
+            this._handleFetchResponse(response, data, verb);
+        }.bind(this), function (error) {
+            cleanup();
+            this.error = error;
+            this.status = 0;
+            this._fail(verb, null);
+        }.bind(this)).catch(reportError);
+        this.handleRequest(this);
+    };
+}
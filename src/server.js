@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Client for the REST API of the Channelstream server.
+ *
+ * Used by application backends (Node.js, Deno, workers) to connect users,
+ * manage subscriptions and publish messages. Every call is signed with
+ * the shared secret in the `x-channelstream-secret` header.
+ *
+ * @module server
+ */
+
+import {ChannelStreamRequest, ChannelStreamRequestError} from "./request.js";
+import {ChannelStreamSigner} from "./signer.js";
+import {createAuthMutator} from "./auth.js";
+import {generateId} from "./utils.js";
+import {JSONCodec} from "./codec.js";
+import {pickChannelConfig, validateChannelConfig} from "./channel-config.js";
+
+/**
+ * Information to include in responses (`info` argument of the server API).
+ * @typedef {object} ServerInfoOptions
+ * @property {string[]} [exclude_channels] Channels left out of the response
+ * @property {boolean} [include_history] Include message history of channels
+ * @property {boolean} [include_users] Include users present in channels
+ * @property {boolean} [return_public_state] Include public state of users
+ * @property {boolean} [include_connections] Include connections of users
+ */
+
+/**
+ * Arguments of ChannelStreamServerClient.connect().
+ * @typedef {object} ServerConnectOptions
+ * @property {string} username Connecting user
+ * @property {string} [connId] Connection id, generated by the server when missing
+ * @property {string[]} [channels] Channels to subscribe to
+ * @property {object} [channelConfigs] Configuration of created channels keyed by name
+ * @property {object} [userState] State of the user
+ * @property {string[]} [statePublicKeys] Keys of `userState` visible to other users
+ * @property {boolean} [freshUserState] Replace stored state instead of updating it
+ * @property {ServerInfoOptions} [info] Information to include in the response
+ */
+
+/**
+ * Per-call options of ChannelStreamServerClient.
+ * @typedef {object} ServerRequestOptions
+ * @property {AbortSignal} [signal] Signal that cancels the request
+ * @property {number} [timeout] Timeout in milliseconds, overrides `timeout` of the client
+ * @property {string} [idempotencyKey] Key identifying the operation, sent
+ * when the request type has a retry policy, generated when missing
+ */
+
+/**
+ * Client of the Channelstream server REST API. Methods return promises
+ * resolving with the server response or rejecting with
+ * ChannelStreamRequestError.
+ *
+ * @example
+ * let server = new ChannelStreamServerClient('http://127.0.0.1:8000', 'secret');
+ * let conn = await server.connect({username: 'alice', channels: ['lobby']});
+ * await server.message({channel: 'lobby', user: 'system', message: {text: 'Hi'}});
+ */
+export class ChannelStreamServerClient {
+
+    /**
+     * @param serverUrl {string} Base URL of the Channelstream server
+     * @param secret {string} Shared secret of the server
+     * @param [options] {object}
+     * @param [options.signer] {object|function} Token provider used instead of
+     * ChannelStreamSigner created from `secret` (see createAuthMutator)
+     * @param [options.fetchImpl] {function} fetch() implementation, defaults to the global `fetch`
+     * @param [options.timeout=0] {number} Request timeout in milliseconds, 0 disables it
+     * @param [options.retryPolicies] {object} RetryPolicy objects keyed by
+     * request type (`connect`, `message`, `info`, etc.)
+     * @param [options.codec] {Codec} Codec of request bodies and responses, defaults to JSONCodec
+     */
+    constructor(serverUrl, secret, options) {
+        options = options || {};
+        /** Base URL of the Channelstream server. */
+        this.serverUrl = serverUrl.replace(/\/+$/, '');
+        /** fetch() implementation used for requests. */
+        this.fetchImpl = options.fetchImpl || null;
+        /** Default timeout of requests in milliseconds, 0 disables it. */
+        this.timeout = options.timeout || 0;
+        /** RetryPolicy objects keyed by request type, types without a policy are not retried. */
+        this.retryPolicies = options.retryPolicies || {};
+        /** Header carrying idempotency key of requests with a retry policy, null disables it. */
+        this.idempotencyHeader = 'Idempotency-Key';
+        /** Codec of request bodies and responses. */
+        this.codec = options.codec || new JSONCodec();
+        /** Token provider signing the requests. */
+        this.signer = options.signer || new ChannelStreamSigner(secret);
+        this._auth = createAuthMutator(this.signer);
+    }
+
+    /**
+     * Connects user, returns `conn_id` to be passed to the browser.
+     * @param params {ServerConnectOptions}
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    connect(params, options) {
+        let body = {
+            username: params.username,
+            conn_id: params.connId,
+            channels: params.channels || [],
+            channel_configs: params.channelConfigs || {},
+            fresh_user_state: params.freshUserState || false,
+            user_state: params.userState || {},
+            state_public_keys: params.statePublicKeys || [],
+            info: params.info || {}
+        };
+        return this._send('connect', '/connect', 'POST', body, options);
+    }
+
+    /**
+     * Subscribes connection to channels.
+     * @param connId {string} Connection id
+     * @param channels {string[]} Channel names
+     * @param [params] {object}
+     * @param [params.channelConfigs] {object} Configuration of created channels keyed by name
+     * @param [params.info] {ServerInfoOptions} Information to include in the response
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    subscribe(connId, channels, params, options) {
+        params = params || {};
+        return this._send('subscribe', '/subscribe', 'POST', {
+            conn_id: connId,
+            channels: channels,
+            channel_configs: params.channelConfigs || {},
+            info: params.info || {}
+        }, options);
+    }
+
+    /**
+     * Unsubscribes connection from channels.
+     * @param connId {string} Connection id
+     * @param channels {string[]} Channel names
+     * @param [params] {object}
+     * @param [params.info] {ServerInfoOptions} Information to include in the response
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    unsubscribe(connId, channels, params, options) {
+        params = params || {};
+        return this._send('unsubscribe', '/unsubscribe', 'POST', {
+            conn_id: connId,
+            channels: channels,
+            info: params.info || {}
+        }, options);
+    }
+
+    /**
+     * Publishes messages. Messages have `channel` (or `pm_users`), `user`
+     * and `message` fields, optionally `exclude_users` and `no_history`.
+     * @param messages {object|object[]} Message or list of messages
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object[]>}
+     */
+    message(messages, options) {
+        return this._send('message', '/message', 'POST', [].concat(messages), options);
+    }
+
+    /**
+     * Edits messages identified by `uuid` and `channel`.
+     * @param messages {object|object[]} Message or list of messages
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object[]>}
+     */
+    edit(messages, options) {
+        return this._send('messageEdit', '/message', 'PATCH', [].concat(messages), options);
+    }
+
+    /**
+     * Deletes messages identified by `uuid` and `channel`.
+     * @param messages {object|object[]} Message or list of messages
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object[]>}
+     */
+    delete(messages, options) {
+        return this._send('messageDelete', '/message', 'DELETE', [].concat(messages), options);
+    }
+
+    /**
+     * Updates state of the user.
+     * @param username {string}
+     * @param userState {object} State keys to update
+     * @param [params] {object}
+     * @param [params.statePublicKeys] {string[]} Keys visible to other users
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    updateUserState(username, userState, params, options) {
+        params = params || {};
+        let body = {user: username, user_state: userState};
+        if (params.statePublicKeys) {
+            body.state_public_keys = params.statePublicKeys;
+        }
+        return this._send('userState', '/user_state', 'POST', body, options);
+    }
+
+    /**
+     * Returns information about channels and their users.
+     * @param [params] {object}
+     * @param [params.channels] {string[]} Channels to describe, all when missing
+     * @param [params.info] {ServerInfoOptions} Information to include
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    info(params, options) {
+        params = params || {};
+        let body = {info: params.info || {}};
+        if (params.channels) {
+            body.channels = params.channels;
+        }
+        return this._send('info', '/info', 'POST', body, options);
+    }
+
+    /**
+     * Sets configuration of channels, without client-side validation.
+     * @param configs {object} Channel configuration keyed by channel name
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    channelConfig(configs, options) {
+        return this._send('channelConfig', '/channel_config', 'POST', configs, options);
+    }
+
+    /**
+     * Returns configuration of channels.
+     * @param channels {string[]} Channel names
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>} Channel options keyed by channel name,
+     * channels unknown to the server are left out
+     */
+    getChannelConfig(channels, options) {
+        return this.info({
+            channels: channels,
+            info: {include_history: false, include_users: false}
+        }, options).then(function (data) {
+            return this._effectiveConfig(data, channels);
+        }.bind(this));
+    }
+
+    /**
+     * Validates and updates configuration of channels, creating missing ones.
+     *
+     * @example
+     * let config = await server.updateChannelConfig({
+     *     lobby: {notify_presence: true, store_history: true, history_size: 50}
+     * });
+     *
+     * @param configs {object} Options (see ChannelConfigOptions) keyed by channel name
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>} Effective channel options keyed by channel name
+     * @throws {ChannelStreamConfigError} When options are unknown or of wrong type,
+     * nothing is sent to the server then
+     */
+    updateChannelConfig(configs, options) {
+        let body = {};
+        try {
+            for (let channel of Object.keys(configs)) {
+                body[channel] = validateChannelConfig(channel, configs[channel]);
+            }
+        } catch (exc) {
+            return Promise.reject(exc);
+        }
+        return this.channelConfig(body, options).then(function (data) {
+            return this._effectiveConfig(data, Object.keys(body));
+        }.bind(this));
+    }
+
+    /**
+     * Extracts channel options from server response.
+     * @param data {object} Response with `channels` information
+     * @param channels {string[]} Requested channels
+     * @returns {object}
+     * @private
+     */
+    _effectiveConfig(data, channels) {
+        let info = (data && data.channels) || {};
+        let result = {};
+        for (let channel of channels) {
+            if (info[channel]) {
+                result[channel] = pickChannelConfig(info[channel]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Marks connection as expired.
+     * @param connId {string} Connection id
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     */
+    disconnect(connId, options) {
+        return this._send('disconnect', '/disconnect', 'POST', {conn_id: connId}, options);
+    }
+
+    /**
+     * Sends signed request to the server.
+     * @param type {string} Request type reported in errors
+     * @param path {string} API path
+     * @param verb {string} HTTP verb
+     * @param body {object|object[]} Request payload
+     * @param [options] {ServerRequestOptions}
+     * @returns {Promise<object>}
+     * @private
+     */
+    _send(type, path, verb, body, options) {
+        options = options || {};
+        let request = new ChannelStreamRequest();
+        request.type = type;
+        request.url = this.serverUrl + path;
+        request.body = body;
+        request.fetch = this.fetchImpl;
+        request.codec = this.codec;
+        request.timeout = typeof options.timeout !== 'undefined' ? options.timeout : this.timeout;
+        request.signal = options.signal || null;
+        let policy = this.retryPolicies[type] || null;
+        if (policy) {
+            request.retry = policy;
+            if (policy.idempotencyKey !== false && this.idempotencyHeader) {
+                request.idempotencyKey = options.idempotencyKey || generateId();
+                request.headers.push({name: this.idempotencyHeader, value: request.idempotencyKey});
+            }
+        }
+        request.ready = this._auth(request) || null;
+        return new Promise(function (resolve, reject) {
+            request.handleResponse = function (req, data) {
+                resolve(data);
+            };
+            request.handleError = function (req, data) {
+                reject(new ChannelStreamRequestError(type, req, data));
+            };
+            request.execute(verb);
+        });
+    }
+}
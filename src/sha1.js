@@ -1,3 +0,0 @@
-// this ensures commonjs module is wrapped and will be converted to esm
-const jsSHA1 = require("jssha/src/sha1");
-module.exports = { jsSHA1};
@@ -0,0 +1,735 @@
+/**
+ * @fileoverview Single Channelstream connection shared by browser tabs.
+ *
+ * Tabs of the same origin elect a leader with the Web Locks API. Only
+ * the leader opens a real ChannelStreamConnection, other tabs talk to it
+ * over a BroadcastChannel: their calls are executed by the leader and
+ * every event of the connection is forwarded to them. When the leader
+ * tab closes, its lock is released, the next tab takes over and
+ * reconnects with the channels that were subscribed.
+ *
+ * @module shared
+ */
+
+import {ChannelStreamEmitter} from "./emitter.js";
+import {ChannelStreamRequest, ChannelStreamRequestError} from "./request.js";
+import {ChannelStreamChannel} from "./channel.js";
+import {applyPresence, ChannelStreamPresence, syncPresence} from "./presence.js";
+import {ChannelStreamMessageStore, ingestMessages} from "./store.js";
+import {ConnectionState} from "./channelstream.js";
+import {generateId, reportError} from "./utils.js";
+
+/**
+ * Connection methods followers can call, all of them return promises.
+ * @private
+ */
+const SHARED_CALLS = [
+    'connect', 'disconnect', 'closeConnection', 'subscribe', 'unsubscribe',
+    'updateUserState', 'message', 'edit', 'delete', 'fetchHistory'
+];
+
+/**
+ * States in which a new leader re-opens the connection of the previous one.
+ * @private
+ */
+const ACTIVE_STATES = [
+    ConnectionState.CONNECTING, ConnectionState.OPEN, ConnectionState.RECONNECTING
+];
+
+/**
+ * Maps optimistic change events to message store methods applying them.
+ * @private
+ */
+const OPTIMISTIC_EVENTS = {
+    optimisticUpdate: 'applyOptimistic',
+    optimisticConfirm: 'confirmOptimistic',
+    optimisticRollback: 'rollbackOptimistic'
+};
+
+/**
+ * Returns JSON copy of the value, which can always be posted to other tabs.
+ * @param value {*}
+ * @returns {*} Copy of the value, null when it can't be serialized
+ * @private
+ */
+function toPlainData(value) {
+    try {
+        let json = JSON.stringify(value);
+        return typeof json === 'undefined' ? null : JSON.parse(json);
+    } catch (exc) {
+        return null;
+    }
+}
+
+/**
+ * Converts event argument to a value that can be posted to other tabs.
+ * Requests are reduced to their public fields, events to their type,
+ * other class instances (sockets, responses) are dropped and plain
+ * data is copied through JSON.
+ * @param value {*}
+ * @returns {*}
+ * @private
+ */
+function toCloneable(value) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' ? null : value;
+    }
+    if (value instanceof ChannelStreamRequest) {
+        return {
+            url: value.url,
+            body: toPlainData(value.body),
+            status: value.status,
+            timedOut: value.timedOut,
+            aborted: value.aborted
+        };
+    }
+    if (value instanceof Error) {
+        return {name: value.name, message: value.message};
+    }
+    if (typeof Event !== 'undefined' && value instanceof Event) {
+        return {type: value.type};
+    }
+    let proto = Object.getPrototypeOf(value);
+    if (Array.isArray(value) || proto === Object.prototype || proto === null) {
+        return toPlainData(value);
+    }
+    return null;
+}
+
+/**
+ * Connection shared by all tabs of the origin, with the API of
+ * ChannelStreamConnection.
+ *
+ * The connection is created by `createConnection` in whichever tab is the
+ * leader, so it has to configure URLs, username, channels and mutators
+ * the same way in every tab. Calls made in follower tabs are executed by
+ * the leader and affect all tabs (e.g. `disconnect()` closes the shared
+ * connection). Use `on()` to listen, `*Callback` methods are not available.
+ *
+ * Without BroadcastChannel and Web Locks support every tab becomes the
+ * leader of its own connection.
+ *
+ * Additional events:
+ * - `leader` - this tab became the leader and holds the real connection
+ *
+ * @example
+ * let shared = new ChannelStreamSharedConnection(() => {
+ *     let conn = new ChannelStreamConnection();
+ *     conn.connectUrl = '/connect';
+ *     conn.websocketUrl = 'wss://example.com/ws';
+ *     return conn;
+ * });
+ * shared.channel('lobby').on('message', (message) => console.log(message));
+ * await shared.connect();
+ */
+export class ChannelStreamSharedConnection extends ChannelStreamEmitter {
+
+    /**
+     * @param createConnection {function(): ChannelStreamConnection} Creates
+     * configured connection when this tab becomes the leader
+     * @param [options] {object}
+     * @param [options.name='channelstream'] {string} Name of the lock and
+     * broadcast channel, tabs using the same name share a connection
+     * @param [options.broadcastChannelImpl] {function} BroadcastChannel
+     * constructor, defaults to the global `BroadcastChannel`
+     * @param [options.locks] {LockManager} Web Locks manager, defaults to
+     * `navigator.locks`
+     */
+    constructor(createConnection, options) {
+        super();
+        options = options || {};
+        /** Name of the lock and broadcast channel. */
+        this.name = options.name || 'channelstream';
+        /** Whether this tab holds the real connection. */
+        this.isLeader = false;
+        /** The real connection, only set in the leader tab. */
+        this.connection = null;
+        this._createConnection = createConnection;
+        /** Connection state last reported by the leader. */
+        this._remote = {
+            state: ConnectionState.IDLE,
+            connected: false,
+            connectionId: null,
+            channels: [],
+            transport: null
+        };
+        /** Calls waiting for the leader, keyed by call id. */
+        this._pending = new Map();
+        /** Channel handles created by channel(), keyed by channel name. */
+        this._channelHandles = new Map();
+        /** Presence models created by presence(), keyed by channel name. */
+        this._presence = new Map();
+        /** Number of newest messages kept by stores created with messageStore(), 0 keeps all. */
+        this.messageStoreSize = 200;
+        /** Message stores created by messageStore(), keyed by channel name. */
+        this._messageStores = new Map();
+        /** Server response of the last successful connect(). */
+        this._connectData = null;
+        /** Promise of connect() in progress, shared by all callers. */
+        this._connectPromise = null;
+        this._connectionListener = this._handleConnectionEvent.bind(this);
+        this._releaseLock = null;
+        this._lockAbort = null;
+        this._bus = null;
+
+        let BroadcastChannelImpl = options.broadcastChannelImpl || globalThis.BroadcastChannel;
+        let locks = options.locks || (globalThis.navigator && globalThis.navigator.locks);
+        if (!BroadcastChannelImpl || !locks) {
+            this._becomeLeader();
+            return;
+        }
+        this._bus = new BroadcastChannelImpl(this.name);
+        this._bus.onmessage = this._handleBusMessage.bind(this);
+        this._lockAbort = new AbortController();
+        locks.request(this.name, {signal: this._lockAbort.signal}, function () {
+            this._becomeLeader();
+            // the lock is held until close() or until the tab goes away
+            return new Promise(function (resolve) {
+                this._releaseLock = resolve;
+            }.bind(this));
+        }.bind(this)).catch(function () {
+            // lock request aborted by close()
+        });
+        this._post({kind: 'hello'});
+    }
+
+    /**
+     * Current connection state, one of ConnectionState values.
+     * @returns {string}
+     */
+    get state() {
+        return this._snapshot().state;
+    }
+
+    /**
+     * Whether the shared connection is connected to the server.
+     * @returns {boolean}
+     */
+    get connected() {
+        return this._snapshot().connected;
+    }
+
+    /**
+     * Connection identifier returned by server.
+     * @returns {string|null}
+     */
+    get connectionId() {
+        return this._snapshot().connectionId;
+    }
+
+    /**
+     * Channels the shared connection is subscribed to.
+     * @returns {string[]}
+     */
+    get channels() {
+        return this._snapshot().channels;
+    }
+
+    /**
+     * Name of the transport used by the leader for listening.
+     * @returns {string|null}
+     */
+    get transport() {
+        return this._snapshot().transport;
+    }
+
+    /**
+     * Returns handle for the channel that receives only its messages.
+     * @param name {string} Channel name
+     * @returns {ChannelStreamChannel}
+     */
+    channel(name) {
+        if (!this._channelHandles.has(name)) {
+            this._channelHandles.set(name, new ChannelStreamChannel(this, name));
+        }
+        return this._channelHandles.get(name);
+    }
+
+    /**
+     * Returns presence model of the channel.
+     * @param name {string} Channel name
+     * @returns {ChannelStreamPresence}
+     */
+    presence(name) {
+        if (!this._presence.has(name)) {
+            this._presence.set(name, new ChannelStreamPresence(name));
+        }
+        return this._presence.get(name);
+    }
+
+    /**
+     * Returns message store of the channel, created on first use.
+     * @param name {string} Channel name
+     * @returns {ChannelStreamMessageStore}
+     */
+    messageStore(name) {
+        if (!this._messageStores.has(name)) {
+            this._messageStores.set(name, new ChannelStreamMessageStore(name, {maxSize: this.messageStoreSize}));
+        }
+        return this._messageStores.get(name);
+    }
+
+    /**
+     * Connects the shared connection, resolves with the response of the
+     * existing connection when it is already open.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    connect(options) {
+        return this._call('connect', [], options);
+    }
+
+    /**
+     * Marks the shared connection as expired, for all tabs.
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    disconnect(options) {
+        return this._call('disconnect', [], options);
+    }
+
+    /**
+     * Closes the listening connection of the leader, for all tabs.
+     * @returns {Promise<undefined>}
+     */
+    closeConnection() {
+        return this._call('closeConnection', []);
+    }
+
+    /**
+     * Subscribes the shared connection to channels.
+     * @param channels {string[]}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object|null>}
+     */
+    subscribe(channels, options) {
+        return this._call('subscribe', [channels], options);
+    }
+
+    /**
+     * Unsubscribes the shared connection from channels.
+     * @param channels {string[]}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    unsubscribe(channels, options) {
+        return this._call('unsubscribe', [channels], options);
+    }
+
+    /**
+     * Updates state of the connected user.
+     * @param stateObj {object}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    updateUserState(stateObj, options) {
+        return this._call('updateUserState', [stateObj], options);
+    }
+
+    /**
+     * Sends message through the leader.
+     * @param message {object}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    message(message, options) {
+        return this._call('message', [message], options);
+    }
+
+    /**
+     * Edits message through the leader.
+     * @param message {object}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    edit(message, options) {
+        return this._call('edit', [message], options);
+    }
+
+    /**
+     * Deletes message through the leader.
+     * @param message {object}
+     * @param [options] {RequestOptions} Per-request options
+     * @returns {Promise<object>}
+     */
+    delete(message, options) {
+        return this._call('delete', [message], options);
+    }
+
+    /**
+     * Requests older history of the channel through the leader.
+     * @param channel {string}
+     * @param [options] {object} Paging options (`before`, `limit`) and RequestOptions
+     * @returns {Promise<HistoryPage>}
+     */
+    fetchHistory(channel, options) {
+        // options are a single argument here, only the signal can't be posted
+        if (options && !this.connection) {
+            options = {before: options.before, limit: options.limit, timeout: options.timeout};
+        }
+        return this._call('fetchHistory', [channel, options]);
+    }
+
+    /**
+     * Leaves the group of tabs. The leader closes its listening connection
+     * (without disconnecting) and hands it over to the next tab.
+     */
+    close() {
+        if (this.connection) {
+            this.connection.off('*', this._connectionListener);
+            this.connection.closeConnection();
+            this.connection = null;
+        }
+        this.isLeader = false;
+        if (this._releaseLock) {
+            this._releaseLock();
+            this._releaseLock = null;
+        } else if (this._lockAbort) {
+            this._lockAbort.abort();
+        }
+        if (this._bus) {
+            this._bus.close();
+            this._bus = null;
+        }
+        for (let call of this._pending.values()) {
+            call.reject(new Error('Shared connection was closed'));
+        }
+        this._pending.clear();
+    }
+
+    /**
+     * Returns current connection state, read from the real connection
+     * in the leader tab.
+     * @returns {object}
+     * @private
+     */
+    _snapshot() {
+        let conn = this.connection;
+        if (!conn) {
+            return this._remote;
+        }
+        return {
+            state: conn.state,
+            connected: conn.connected,
+            connectionId: conn.connectionId,
+            channels: conn.channels.slice(),
+            transport: conn.transport
+        };
+    }
+
+    /**
+     * Executes connection method locally in the leader tab or sends it
+     * to the leader. Only `timeout`, `optimistic`, `idempotencyKey` and
+     * `batch` options are posted, AbortSignal is ignored for calls executed
+     * by the leader in another tab.
+     * @param method {string}
+     * @param args {Array}
+     * @param [options] {RequestOptions}
+     * @returns {Promise<*>}
+     * @private
+     */
+    _call(method, args, options) {
+        if (this.connection) {
+            return this._execute(method, args, options);
+        }
+        return new Promise(function (resolve, reject) {
+            let posted = null;
+            for (let key of ['timeout', 'optimistic', 'idempotencyKey', 'batch']) {
+                if (options && typeof options[key] !== 'undefined') {
+                    posted = posted || {};
+                    posted[key] = options[key];
+                }
+            }
+            let call = {
+                id: generateId(),
+                method: method,
+                args: args,
+                options: posted,
+                resolve: resolve,
+                reject: reject
+            };
+            this._pending.set(call.id, call);
+            try {
+                this._postCall(call);
+            } catch (error) {
+                // arguments that can't be posted must not be replayed on failover
+                this._pending.delete(call.id);
+                reject(error);
+            }
+        }.bind(this));
+    }
+
+    /**
+     * Runs the method on the real connection.
+     * @param method {string}
+     * @param args {Array}
+     * @param [options] {RequestOptions}
+     * @returns {Promise<*>}
+     * @private
+     */
+    _execute(method, args, options) {
+        if (SHARED_CALLS.indexOf(method) === -1) {
+            return Promise.reject(new Error('Unknown shared connection method: ' + method));
+        }
+        if (method === 'connect') {
+            return this._connect(options);
+        }
+        return Promise.resolve(this.connection[method](...args, options));
+    }
+
+    /**
+     * Connects unless the connection is already open or connecting, so
+     * tabs calling connect() on load don't reconnect each other.
+     * @param [options] {RequestOptions}
+     * @returns {Promise<object>}
+     * @private
+     */
+    _connect(options) {
+        let state = this.connection.state;
+        if (state === ConnectionState.OPEN && this._connectData) {
+            return Promise.resolve(this._connectData);
+        }
+        if (state === ConnectionState.CONNECTING && this._connectPromise) {
+            return this._connectPromise;
+        }
+        this._connectPromise = this.connection.connect(options);
+        return this._connectPromise;
+    }
+
+    /**
+     * Creates the real connection after winning the election.
+     * @private
+     */
+    _becomeLeader() {
+        let previous = this._remote;
+        let conn = this._createConnection();
+        // keep channels subscribed through the previous leader
+        if (previous.channels.length) {
+            conn.channels = previous.channels.slice();
+        }
+        conn.on('*', this._connectionListener);
+        this.connection = conn;
+        this.isLeader = true;
+        this._post({kind: 'leader', state: this._snapshot()});
+        this._emit('leader');
+        if (ACTIVE_STATES.indexOf(previous.state) !== -1) {
+            this._connect();
+        }
+        // calls sent to the previous leader may never be answered
+        for (let call of Array.from(this._pending.values())) {
+            this._pending.delete(call.id);
+            this._execute(call.method, call.args, call.options).then(call.resolve, call.reject);
+        }
+    }
+
+    /**
+     * Handles event of the real connection: updates local presence and
+     * channel handles, re-emits the event and forwards it to followers.
+     * @param type {string} Event name
+     * @param args {...*} Event arguments
+     * @private
+     */
+    _handleConnectionEvent(type, ...args) {
+        if (type === 'connect') {
+            this._connectData = args[1];
+        }
+        this._dispatch(type, args);
+        try {
+            this._post({
+                kind: 'event',
+                type: type,
+                args: args.map(toCloneable),
+                state: this._snapshot()
+            });
+        } catch (error) {
+            reportError(error);
+        }
+    }
+
+    /**
+     * Updates presence models, message stores and channel handles like
+     * the connection does, then emits the event.
+     * @param type {string}
+     * @param args {Array}
+     * @private
+     */
+    _dispatch(type, args) {
+        if (type === 'connect' || type === 'subscribe') {
+            syncPresence(this._presence, args[1]);
+        } else if (type === 'listenMessage') {
+            applyPresence(this._presence, args[0]);
+            ingestMessages(this._messageStores, args[0]);
+        } else if (type === 'history' && this._messageStores.has(args[0].channel)) {
+            this._messageStores.get(args[0].channel).ingest(args[0].messages);
+        } else if (OPTIMISTIC_EVENTS[type] && this._messageStores.has(args[0].channel)) {
+            this._messageStores.get(args[0].channel)[OPTIMISTIC_EVENTS[type]](args[0], args[1]);
+        }
+        this._emit(type, ...args);
+        if (type === 'listenMessage') {
+            for (let message of args[0]) {
+                let handle = this._channelHandles.get(message.channel);
+                if (handle) {
+                    handle._dispatch(message);
+                }
+            }
+        } else if (type === 'history') {
+            let handle = this._channelHandles.get(args[0].channel);
+            if (handle) {
+                handle._dispatchHistory(args[0]);
+            }
+        } else if (type === 'unsubscribe') {
+            this._dropChannels((args[0] && args[0].body && args[0].body.channels) || []);
+        }
+    }
+
+    /**
+     * Drops handles, presence and message stores of channels that were left.
+     * @param names {string[]}
+     * @private
+     */
+    _dropChannels(names) {
+        for (let name of names) {
+            if (this.channels.indexOf(name) !== -1) {
+                continue;
+            }
+            if (this._presence.has(name)) {
+                this._presence.get(name).clear();
+                this._presence.delete(name);
+            }
+            if (this._messageStores.has(name)) {
+                this._messageStores.get(name).clear();
+                this._messageStores.delete(name);
+            }
+            let handle = this._channelHandles.get(name);
+            if (handle) {
+                this._channelHandles.delete(name);
+                handle._close();
+            }
+        }
+    }
+
+    /**
+     * Handles message posted by another tab.
+     * @param event {MessageEvent}
+     * @private
+     */
+    _handleBusMessage(event) {
+        let data = event.data || {};
+        if (this.connection) {
+            if (data.kind === 'call') {
+                this._answerCall(data);
+            } else if (data.kind === 'hello') {
+                this._post({kind: 'state', state: this._snapshot(), presence: this._presenceSnapshot()});
+            }
+            return;
+        }
+        if (data.kind === 'event') {
+            this._remote = data.state;
+            this._dispatch(data.type, data.args);
+        } else if (data.kind === 'state') {
+            this._remote = data.state;
+            this._restorePresence(data.presence || {});
+        } else if (data.kind === 'leader') {
+            this._remote = data.state;
+            // the previous leader may have died before answering
+            for (let call of this._pending.values()) {
+                this._postCall(call);
+            }
+        } else if (data.kind === 'result') {
+            this._settleCall(data);
+        }
+    }
+
+    /**
+     * Executes call of a follower and posts the result back.
+     * @param data {object}
+     * @private
+     */
+    _answerCall(data) {
+        this._execute(data.method, data.args, data.options).then(function (value) {
+            this._post({kind: 'result', id: data.id, value: toCloneable(value)});
+        }.bind(this), function (error) {
+            let result = {kind: 'result', id: data.id, error: {message: error.message}};
+            if (error instanceof ChannelStreamRequestError) {
+                result.error = {
+                    type: error.type,
+                    status: error.status,
+                    body: toCloneable(error.body),
+                    timedOut: error.reason === 'timeout',
+                    aborted: error.reason === 'abort'
+                };
+            }
+            this._post(result);
+        }.bind(this));
+    }
+
+    /**
+     * Resolves or rejects call of this tab answered by the leader.
+     * @param data {object}
+     * @private
+     */
+    _settleCall(data) {
+        let call = this._pending.get(data.id);
+        if (!call) {
+            return;
+        }
+        this._pending.delete(data.id);
+        if (!data.error) {
+            call.resolve(data.value);
+        } else if (data.error.type) {
+            call.reject(new ChannelStreamRequestError(data.error.type, data.error, data.error.body));
+        } else {
+            call.reject(new Error(data.error.message));
+        }
+    }
+
+    /**
+     * Returns present users of every channel, sent to tabs joining later.
+     * @returns {object}
+     * @private
+     */
+    _presenceSnapshot() {
+        let result = {};
+        for (let [name, presence] of this._presence) {
+            result[name] = presence.list();
+        }
+        return result;
+    }
+
+    /**
+     * Seeds presence models from snapshot of the leader.
+     * @param snapshot {object} Present users keyed by channel name
+     * @private
+     */
+    _restorePresence(snapshot) {
+        for (let name of Object.keys(snapshot)) {
+            this.presence(name).sync({users: snapshot[name]});
+        }
+    }
+
+    /**
+     *
+     * @param call {object}
+     * @private
+     */
+    _postCall(call) {
+        this._post({
+            kind: 'call',
+            id: call.id,
+            method: call.method,
+            args: call.args,
+            options: call.options
+        });
+    }
+
+    /**
+     *
+     * @param message {object}
+     * @private
+     */
+    _post(message) {
+        if (this._bus) {
+            this._bus.postMessage(message);
+        }
+    }
+}
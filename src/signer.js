@@ -1,32 +1,58 @@
 /**
  * @fileoverview Request signing utility for Channelstream API authentication.
  *
- * Implements signing compatible with Python's itsdangerous TimedSigner,
+ * Implements signing compatible with Python's itsdangerous TimestampSigner,
  * allowing JavaScript clients to authenticate with Channelstream backends
- * that use signed tokens.
+ * that use signed tokens and to verify tokens issued by them.
+ *
+ * Hashing is done synchronously by the bundled jsSHA library, see
+ * ChannelStreamWebCryptoSigner for the WebCrypto based variant.
  *
  * @module signer
  */
 
-import {jsSHA1 as jsSHA} from "./sha1-esm.js";
+import {jsSHA} from "./sha-esm.js";
+import {
+    addTimestamp,
+    bytesToInt,
+    ChannelStreamSignatureError,
+    checkTimestamp,
+    configureSigner,
+    constantTimeEquals,
+    hashStrip,
+    intToBytes,
+    splitSignature
+} from "./signing.js";
 
 /**
  * Signs requests for secure communication with Channelstream backend API.
- * Compatible with Python's itsdangerous TimedSigner for cross-language auth.
+ * Compatible with Python's itsdangerous TimestampSigner for cross-language auth.
  *
  * @example
  * const signer = new ChannelStreamSigner('your-secret-key');
  * const token = signer.signRequest();
  * // Use token in Authorization header or request body
+ *
+ * @example
+ * // verify token issued by Python backend
+ * const signer = new ChannelStreamSigner('secret', {salt: 'auth', digestMethod: 'SHA-256'});
+ * const userId = signer.unsign(token, 3600);
  */
 export class ChannelStreamSigner {
 
     /**
      * Creates a new signer with the shared secret.
      * @param secret {string} Shared secret key (must match server configuration)
+     * @param [options] {object} Options matching itsdangerous Signer arguments
+     * @param [options.salt='itsdangerous.Signer'] {string} Salt
+     * @param [options.sep='.'] {string} Separator of value, timestamp and signature
+     * @param [options.keyDerivation='django-concat'] {string} One of
+     * `django-concat`, `concat`, `hmac` or `none`
+     * @param [options.digestMethod='SHA-1'] {string} One of `SHA-1`,
+     * `SHA-256` or `SHA-512`
      */
-    constructor(secret) {
-        this.secret = secret
+    constructor(secret, options) {
+        configureSigner(this, secret, options);
     }
 
     /**
@@ -37,61 +63,115 @@ export class ChannelStreamSigner {
      * @private
      */
     intToBytes(x) {
-        var bytes = [];
-        // Extract bytes from integer (little-endian), then reverse for big-endian
-        while (x > 0) {
-            bytes.push(String.fromCharCode(x & 255));
-            x = x >> 8;
-        }
-        return btoa(bytes.reverse().join(''));
+        return intToBytes(x);
+    }
+
+    /**
+     * Converts big-endian binary string back to an integer.
+     * @param bytes {string} Binary string
+     * @returns {number}
+     * @private
+     */
+    bytesToInt(bytes) {
+        return bytesToInt(bytes);
     }
 
     /**
      * Makes base64 string URL-safe by replacing special characters.
-     * Standard base64 uses +/= which are problematic in URLs.
      * @param input {string} Standard base64 string
      * @returns {string} URL-safe base64 string
      * @private
      */
     hashStrip(input) {
-        return input.replace('=', '').replace('+', '-').replace('/', '_');
+        return hashStrip(input);
+    }
+
+    /**
+     * Derives the signing key from secret and salt.
+     * @returns {{key: string, format: string}} Key and its jsSHA input format
+     * @private
+     */
+    deriveKey() {
+        if (this.keyDerivation === 'none') {
+            return {key: this.secret, format: 'TEXT'};
+        }
+        let shaObj = new jsSHA(this.digestMethod, 'TEXT');
+        if (this.keyDerivation === 'hmac') {
+            shaObj.setHMACKey(this.secret, 'TEXT');
+            shaObj.update(this.salt);
+            return {key: shaObj.getHMAC('BYTES'), format: 'BYTES'};
+        }
+        let signer = this.keyDerivation === 'django-concat' ? 'signer' : '';
+        shaObj.update(this.salt + signer + this.secret);
+        return {key: shaObj.getHash('BYTES'), format: 'BYTES'};
+    }
+
+    /**
+     * Returns URL-safe base64 HMAC signature of the value.
+     * @param value {string}
+     * @returns {string}
+     */
+    getSignature(value) {
+        let derived = this.deriveKey();
+        let shaObj = new jsSHA(this.digestMethod, 'TEXT');
+        shaObj.setHMACKey(derived.key, derived.format);
+        shaObj.update(value);
+        return hashStrip(shaObj.getHMAC('B64'));
+    }
+
+    /**
+     * Signs the value together with current timestamp.
+     * Token format: {value}.{timestamp}.{signature}
+     * @param value {string} Value to sign
+     * @returns {string} Signed value
+     */
+    sign(value) {
+        let timed = addTimestamp(value, this.sep);
+        return timed + this.sep + this.getSignature(timed);
+    }
+
+    /**
+     * Verifies signed value and returns the original value.
+     * @param signedValue {string} Value returned by sign() or itsdangerous
+     * TimestampSigner.sign()
+     * @param [maxAge] {number} Maximum age of the signature in seconds
+     * @returns {string} The original value
+     * @throws {ChannelStreamSignatureError} When signature or timestamp is invalid
+     * @throws {ChannelStreamSignatureExpired} When signature is older than `maxAge`
+     */
+    unsign(signedValue, maxAge) {
+        let parts = splitSignature(signedValue, this.sep);
+        if (!constantTimeEquals(parts.signature, this.getSignature(parts.timed))) {
+            throw new ChannelStreamSignatureError('Signature "' + parts.signature + '" does not match', parts.timed);
+        }
+        return checkTimestamp(parts.timed, this.sep, maxAge);
+    }
+
+    /**
+     * Checks whether signed value is valid (and not older than `maxAge`).
+     * @param signedValue {string}
+     * @param [maxAge] {number} Maximum age of the signature in seconds
+     * @returns {boolean}
+     */
+    validate(signedValue, maxAge) {
+        try {
+            this.unsign(signedValue, maxAge);
+            return true;
+        } catch (exc) {
+            if (exc instanceof ChannelStreamSignatureError) {
+                return false;
+            }
+            throw exc;
+        }
     }
 
     /**
      * Generates a signed token for API authentication.
      * Token format: channelstream.{timestamp}.{hmac_signature}
      *
-     * The signing process:
-     * 1. Derive key using SHA-1 hash of salt + 'signer' + secret
-     * 2. Encode current Unix timestamp as URL-safe base64
-     * 3. Create HMAC-SHA1 signature of 'channelstream.{timestamp}'
-     * 4. Return complete signed token
-     *
      * @returns {string} Signed token for use in API requests
      */
     signRequest() {
-        // Salt matches itsdangerous default for compatibility
-        var salt = 'itsdangerous.Signer';
-        var derived_key = salt + 'signer' + this.secret;
-        var sep = '.';
-
-        // Step 1: Derive signing key using SHA-1
-        var shaObj = new jsSHA("SHA-1", "TEXT");
-        shaObj.update(derived_key)
-        derived_key = shaObj.getHash("BYTES");
-
-        // Step 2: Encode current timestamp
-        var timestamp = Math.floor(Date.now() / 1000);
-        var value = 'channelstream' + sep + this.hashStrip(this.intToBytes(timestamp));
-
-        // Step 3: Generate HMAC-SHA1 signature
-        var shaObj = new jsSHA("SHA-1", "TEXT");
-        shaObj.setHMACKey(derived_key, "BYTES");
-        shaObj.update(value);
-        var hmac = shaObj.getHMAC("B64");
-
-        // Step 4: Assemble final signed token
-        return value + sep + this.hashStrip(hmac);
+        return this.sign('channelstream');
     }
 }
-
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Token format shared by the Channelstream signers.
+ *
+ * Encoding, timestamp handling, validation and errors of itsdangerous
+ * compatible tokens. Contains no hashing code, so the WebCrypto signer
+ * can be bundled without the jsSHA dependency.
+ *
+ * @module signing
+ */
+
+/** Digest methods supported by itsdangerous and both signers. */
+export const DIGEST_METHODS = ['SHA-1', 'SHA-256', 'SHA-512'];
+
+/** Key derivation methods of itsdangerous Signer. */
+export const KEY_DERIVATIONS = ['django-concat', 'concat', 'hmac', 'none'];
+
+/**
+ * Error thrown when signed value can not be verified.
+ */
+export class ChannelStreamSignatureError extends Error {
+
+    /**
+     * @param message {string} Error description
+     * @param payload {string} Value without the signature, not to be trusted
+     */
+    constructor(message, payload) {
+        super(message);
+        this.name = 'ChannelStreamSignatureError';
+        /** Value without the signature, not to be trusted. */
+        this.payload = payload;
+    }
+}
+
+/**
+ * Error thrown when signature is valid but older than the allowed age.
+ */
+export class ChannelStreamSignatureExpired extends ChannelStreamSignatureError {
+
+    /**
+     * @param message {string} Error description
+     * @param payload {string} Signed value
+     * @param dateSigned {Date} When the value was signed
+     */
+    constructor(message, payload, dateSigned) {
+        super(message, payload);
+        this.name = 'ChannelStreamSignatureExpired';
+        /** When the value was signed. */
+        this.dateSigned = dateSigned;
+    }
+}
+
+/**
+ * Reads signer options, defaults match itsdangerous Signer.
+ * @param signer {object} Signer receiving `secret`, `salt`, `sep`,
+ * `keyDerivation` and `digestMethod` properties
+ * @param secret {string} Shared secret key
+ * @param [options] {object}
+ * @throws {TypeError} When key derivation or digest method is not supported
+ */
+export function configureSigner(signer, secret, options) {
+    options = options || {};
+    signer.secret = secret;
+    signer.salt = typeof options.salt === 'string' ? options.salt : 'itsdangerous.Signer';
+    signer.sep = options.sep || '.';
+    signer.keyDerivation = options.keyDerivation || 'django-concat';
+    signer.digestMethod = options.digestMethod || 'SHA-1';
+    if (KEY_DERIVATIONS.indexOf(signer.keyDerivation) === -1) {
+        throw new TypeError('Unknown key derivation: ' + signer.keyDerivation);
+    }
+    if (DIGEST_METHODS.indexOf(signer.digestMethod) === -1) {
+        throw new TypeError('Unsupported digest method: ' + signer.digestMethod);
+    }
+}
+
+/**
+ * Base64 encodes a binary string, using `btoa` when available
+ * and Node's Buffer otherwise.
+ * @param input {string} Binary string
+ * @returns {string} Base64 string
+ */
+export function base64Encode(input) {
+    if (typeof globalThis.btoa === 'function') {
+        return globalThis.btoa(input);
+    }
+    return globalThis.Buffer.from(input, 'binary').toString('base64');
+}
+
+/**
+ * Decodes URL-safe base64 without padding into a binary string.
+ * @param input {string} URL-safe base64 string
+ * @returns {string} Binary string
+ * @throws {Error} When input is not valid base64
+ */
+export function base64Decode(input) {
+    if (!/^[A-Za-z0-9_-]*$/.test(input)) {
+        throw new Error('Invalid base64 string');
+    }
+    let padded = input.replace(/-/g, '+').replace(/_/g, '/');
+    padded += '==='.slice((padded.length + 3) % 4);
+    if (typeof globalThis.atob === 'function') {
+        return globalThis.atob(padded);
+    }
+    return globalThis.Buffer.from(padded, 'base64').toString('binary');
+}
+
+/**
+ * Makes base64 string URL-safe by replacing special characters.
+ * Standard base64 uses +/= which are problematic in URLs.
+ * @param input {string} Standard base64 string
+ * @returns {string} URL-safe base64 string
+ */
+export function hashStrip(input) {
+    return input.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Converts an integer to base64 encoded big-endian bytes.
+ * Used to encode timestamps in a compact format.
+ * @param x {number} Integer to convert (typically Unix timestamp)
+ * @returns {string} Base64-encoded byte representation
+ */
+export function intToBytes(x) {
+    let bytes = [];
+    // Extract bytes from integer (little-endian), then reverse for big-endian
+    while (x > 0) {
+        bytes.push(String.fromCharCode(x % 256));
+        x = Math.floor(x / 256);
+    }
+    return base64Encode(bytes.reverse().join(''));
+}
+
+/**
+ * Converts big-endian binary string back to an integer.
+ * @param bytes {string} Binary string
+ * @returns {number}
+ */
+export function bytesToInt(bytes) {
+    let result = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result = result * 256 + bytes.charCodeAt(i);
+    }
+    return result;
+}
+
+/**
+ * Compares strings in time independent of the position of first difference.
+ * @param a {string}
+ * @param b {string}
+ * @returns {boolean}
+ */
+export function constantTimeEquals(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let result = 0;
+    for (let i = 0; i < a.length; i++) {
+        result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return result === 0;
+}
+
+/**
+ * Appends current timestamp to the value, the part of token covered
+ * by the signature.
+ * @param value {string} Value to sign
+ * @param sep {string} Separator
+ * @returns {string}
+ */
+export function addTimestamp(value, sep) {
+    let timestamp = Math.floor(Date.now() / 1000);
+    return String(value) + sep + hashStrip(intToBytes(timestamp));
+}
+
+/**
+ * Splits signed value into the signed part and the signature.
+ * @param signedValue {string}
+ * @param sep {string} Separator
+ * @returns {{timed: string, signature: string}}
+ * @throws {ChannelStreamSignatureError} When separator is missing
+ */
+export function splitSignature(signedValue, sep) {
+    let index = signedValue.lastIndexOf(sep);
+    if (index === -1) {
+        throw new ChannelStreamSignatureError('No "' + sep + '" found in value', signedValue);
+    }
+    return {
+        timed: signedValue.slice(0, index),
+        signature: signedValue.slice(index + sep.length)
+    };
+}
+
+/**
+ * Strips and checks timestamp of value whose signature was verified.
+ * @param timed {string} Value with timestamp
+ * @param sep {string} Separator
+ * @param [maxAge] {number} Maximum age of the signature in seconds
+ * @returns {string} The original value
+ * @throws {ChannelStreamSignatureError} When timestamp is missing or malformed
+ * @throws {ChannelStreamSignatureExpired} When signature is older than `maxAge`
+ */
+export function checkTimestamp(timed, sep, maxAge) {
+    let index = timed.lastIndexOf(sep);
+    if (index === -1) {
+        throw new ChannelStreamSignatureError('Timestamp missing', timed);
+    }
+    let value = timed.slice(0, index);
+    let timestamp;
+    try {
+        timestamp = bytesToInt(base64Decode(timed.slice(index + sep.length)));
+    } catch (exc) {
+        throw new ChannelStreamSignatureError('Malformed timestamp', value);
+    }
+    if (typeof maxAge === 'number') {
+        let age = Math.floor(Date.now() / 1000) - timestamp;
+        let dateSigned = new Date(timestamp * 1000);
+        if (age > maxAge) {
+            throw new ChannelStreamSignatureExpired(
+                'Signature age ' + age + ' > ' + maxAge + ' seconds', value, dateSigned);
+        }
+        if (age < 0) {
+            throw new ChannelStreamSignatureExpired(
+                'Signature age ' + age + ' < 0 seconds', value, dateSigned);
+        }
+    }
+    return value;
+}
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Client-side model of channel messages.
+ *
+ * Keeps a bounded list of channel messages ordered by timestamp, applying
+ * edits and deletes received on the listen stream, so applications don't
+ * have to look up messages by uuid themselves.
+ *
+ * @module store
+ */
+
+import {ChannelStreamEmitter} from "./emitter.js";
+import {timestampValue} from "./delivery.js";
+
+/**
+ * Passes messages to the stores of their channels, channels without
+ * a store are ignored.
+ * @param stores {Map<string, ChannelStreamMessageStore>} Stores keyed by channel name
+ * @param messages {object[]} Messages received from the server
+ */
+export function ingestMessages(stores, messages) {
+    if (!stores.size) {
+        return;
+    }
+    let byChannel = new Map();
+    for (let message of messages) {
+        if (stores.has(message.channel)) {
+            if (!byChannel.has(message.channel)) {
+                byChannel.set(message.channel, []);
+            }
+            byChannel.get(message.channel).push(message);
+        }
+    }
+    for (let [channel, channelMessages] of byChannel) {
+        stores.get(channel).ingest(channelMessages);
+    }
+}
+
+/**
+ * Messages of a single channel, obtained with `connection.messageStore(name)`
+ * or `connection.channel(name).store`.
+ *
+ * Events:
+ * - `add` (message) - message was added
+ * - `update` (message, previous) - message was edited
+ * - `remove` (message) - message was deleted or trimmed because of `maxSize`
+ * - `change` (diff) - any change, diff has `added`, `updated` and `removed`
+ *   lists of messages
+ *
+ * Stored messages are never mutated, edits replace them with new objects
+ * so UI frameworks can compare by reference.
+ *
+ * Optimistic changes made by the connection are shown immediately with
+ * `pending: true`, new messages use their client id as `uuid` until the
+ * server echoes them.
+ *
+ * @example
+ * let store = conn.messageStore('lobby');
+ * let unsubscribe = store.subscribe((messages) => render(messages));
+ */
+export class ChannelStreamMessageStore extends ChannelStreamEmitter {
+
+    /**
+     * @param channel {string} Channel name
+     * @param [options] {object}
+     * @param [options.maxSize=200] {number} Number of newest messages kept, 0 keeps all
+     */
+    constructor(channel, options) {
+        super();
+        options = options || {};
+        /** Channel name. */
+        this.channel = channel;
+        /** Number of newest messages kept, 0 keeps all. */
+        this.maxSize = typeof options.maxSize === 'number' ? options.maxSize : 200;
+        this._messages = [];
+        this._byUuid = new Map();
+        /** Messages replaced by optimistic edits and deletes, keyed by client id. */
+        this._originals = new Map();
+    }
+
+    /**
+     * Number of stored messages.
+     * @returns {number}
+     */
+    get size() {
+        return this._messages.length;
+    }
+
+    /**
+     * Returns stored message.
+     * @param uuid {string}
+     * @returns {object|undefined}
+     */
+    get(uuid) {
+        return this._byUuid.get(uuid);
+    }
+
+    /**
+     * Returns messages ordered from oldest to newest.
+     * @returns {object[]}
+     */
+    list() {
+        return this._messages.slice();
+    }
+
+    /**
+     * Calls `run` with the message list now and after every change,
+     * compatible with the Svelte store contract.
+     * @param run {function(object[])}
+     * @returns {function} Function that stops the notifications
+     */
+    subscribe(run) {
+        let listener = function () {
+            run(this.list());
+        }.bind(this);
+        run(this.list());
+        return this.on('change', listener);
+    }
+
+    /**
+     * Applies new, edited and deleted messages of the channel.
+     * @param messages {object[]} Messages received from the server
+     */
+    ingest(messages) {
+        let diff = {added: [], updated: [], removed: []};
+        let previous = new Map();
+        for (let message of messages) {
+            if (message.channel !== this.channel || !message.uuid) {
+                continue;
+            }
+            if (message.type === 'message:edit') {
+                this._edit(message, diff, previous);
+            } else if (message.type === 'message:delete') {
+                this._remove(message.uuid, diff.removed);
+            } else if (message.type === 'message' || typeof message.type === 'undefined') {
+                this._add(message, diff);
+            }
+        }
+        this._commit(diff, previous);
+    }
+
+    /**
+     * Shows optimistic change before the server confirms it.
+     * @param change {OptimisticChange}
+     */
+    applyOptimistic(change) {
+        let diff = {added: [], updated: [], removed: []};
+        let previous = new Map();
+        let body = change.body;
+        if (change.type === 'message') {
+            this._add(Object.assign({type: 'message', timestamp: change.createdAt}, body, {
+                uuid: change.clientId,
+                client_id: change.clientId,
+                pending: true
+            }), diff);
+        } else if (this._byUuid.has(body.uuid)) {
+            this._originals.set(change.clientId, this._byUuid.get(body.uuid));
+            if (change.type === 'messageEdit') {
+                this._edit(Object.assign({}, body, {pending: true}), diff, previous);
+            } else {
+                this._remove(body.uuid, diff.removed);
+            }
+        }
+        this._commit(diff, previous);
+    }
+
+    /**
+     * Replaces pending message with the one echoed by the server,
+     * echoed edits and deletes are applied by ingest().
+     * @param change {OptimisticChange}
+     * @param message {object} Message received from the server
+     */
+    confirmOptimistic(change, message) {
+        this._originals.delete(change.clientId);
+        let pending = this._byUuid.get(change.clientId);
+        if (change.type !== 'message' || !pending) {
+            return;
+        }
+        let diff = {added: [], updated: [], removed: []};
+        let previous = new Map();
+        this._remove(change.clientId, []);
+        this._add(message, diff);
+        if (diff.added.length) {
+            diff.updated = diff.added;
+            diff.added = [];
+            previous.set(message, pending);
+        } else {
+            diff.removed.push(pending);
+        }
+        this._commit(diff, previous);
+    }
+
+    /**
+     * Restores the store after optimistic change failed.
+     * @param change {OptimisticChange}
+     */
+    rollbackOptimistic(change) {
+        let diff = {added: [], updated: [], removed: []};
+        let previous = new Map();
+        let original = this._originals.get(change.clientId);
+        this._originals.delete(change.clientId);
+        if (change.type === 'message') {
+            this._remove(change.clientId, diff.removed);
+        } else if (original && change.type === 'messageEdit') {
+            let current = this._byUuid.get(original.uuid);
+            if (current) {
+                this._replace(current, original);
+                diff.updated.push(original);
+                previous.set(original, current);
+            }
+        } else if (original && !this._byUuid.has(original.uuid)) {
+            this._add(original, diff);
+        }
+        this._commit(diff, previous);
+    }
+
+    /**
+     * Removes all messages without emitting events.
+     */
+    clear() {
+        this._messages = [];
+        this._byUuid.clear();
+        this._originals.clear();
+    }
+
+    /**
+     *
+     * @param message {object}
+     * @param diff {object}
+     * @private
+     */
+    _add(message, diff) {
+        let current = this._byUuid.get(message.uuid);
+        if (current) {
+            return;
+        }
+        // newest messages usually arrive last, search from the end
+        let value = timestampValue(message.timestamp);
+        let index = this._messages.length;
+        if (value !== null) {
+            while (index > 0 && timestampValue(this._messages[index - 1].timestamp) > value) {
+                index -= 1;
+            }
+        }
+        this._messages.splice(index, 0, message);
+        this._byUuid.set(message.uuid, message);
+        diff.added.push(message);
+    }
+
+    /**
+     *
+     * @param edit {object} `message:edit` message
+     * @param diff {object}
+     * @param previous {Map} Original versions of updated messages
+     * @private
+     */
+    _edit(edit, diff, previous) {
+        let current = this._byUuid.get(edit.uuid);
+        if (!current) {
+            return;
+        }
+        let updated = Object.assign({}, current, edit, {type: current.type, timestamp: current.timestamp});
+        // edits received from the server settle pending changes
+        if (!edit.pending) {
+            delete updated.pending;
+        }
+        this._replace(current, updated);
+        // messages added or edited in the same batch are reported once
+        let added = diff.added.indexOf(current);
+        let edited = diff.updated.indexOf(current);
+        if (added !== -1) {
+            diff.added[added] = updated;
+        } else if (edited !== -1) {
+            diff.updated[edited] = updated;
+            previous.set(updated, previous.get(current));
+            previous.delete(current);
+        } else {
+            diff.updated.push(updated);
+            previous.set(updated, current);
+        }
+    }
+
+    /**
+     *
+     * @param current {object} Stored message
+     * @param replacement {object} Message with the same uuid
+     * @private
+     */
+    _replace(current, replacement) {
+        this._messages[this._messages.indexOf(current)] = replacement;
+        this._byUuid.set(replacement.uuid, replacement);
+    }
+
+    /**
+     *
+     * @param uuid {string}
+     * @param removed {object[]}
+     * @private
+     */
+    _remove(uuid, removed) {
+        let current = this._byUuid.get(uuid);
+        if (!current) {
+            return;
+        }
+        this._messages.splice(this._messages.indexOf(current), 1);
+        this._byUuid.delete(uuid);
+        removed.push(current);
+    }
+
+    /**
+     * Drops oldest messages above `maxSize`.
+     * @param removed {object[]}
+     * @private
+     */
+    _trim(removed) {
+        if (!this.maxSize) {
+            return;
+        }
+        while (this._messages.length > this.maxSize) {
+            let message = this._messages.shift();
+            this._byUuid.delete(message.uuid);
+            removed.push(message);
+        }
+    }
+
+    /**
+     * Trims the store and emits changes.
+     * @param diff {object}
+     * @param previous {Map} Original versions of updated messages
+     * @private
+     */
+    _commit(diff, previous) {
+        this._trim(diff.removed);
+        // messages trimmed right after being added were never visible
+        let transient = diff.added.filter(function (message) {
+            return diff.removed.indexOf(message) !== -1;
+        });
+        let visible = function (message) {
+            return transient.indexOf(message) === -1;
+        };
+        diff.added = diff.added.filter(visible);
+        diff.removed = diff.removed.filter(visible);
+        this._emitDiff(diff, previous);
+    }
+
+    /**
+     *
+     * @param diff {object}
+     * @param previous {Map} Original versions of updated messages
+     * @private
+     */
+    _emitDiff(diff, previous) {
+        // edited messages deleted later in the batch are only reported as removed
+        diff.updated = diff.updated.filter(function (message) {
+            return diff.removed.indexOf(message) === -1;
+        });
+        if (!diff.added.length && !diff.updated.length && !diff.removed.length) {
+            return;
+        }
+        for (let message of diff.added) {
+            this._emit('add', message);
+        }
+        for (let message of diff.updated) {
+            this._emit('update', message, previous.get(message));
+        }
+        for (let message of diff.removed) {
+            this._emit('remove', message);
+        }
+        this._emit('change', diff);
+    }
+}
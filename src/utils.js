@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Small helpers shared by the Channelstream modules.
+ *
+ * @module utils
+ */
+
+/**
+ * Generates a random RFC 4122 version 4 identifier.
+ * Uses `crypto.randomUUID()` when available.
+ * @returns {string}
+ */
+export function generateId() {
+    let crypto = globalThis.crypto;
+    if (crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (char) {
+        let random = Math.random() * 16 | 0;
+        return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Appends query parameter to the URL.
+ * @param url {string}
+ * @param name {string} Parameter name
+ * @param value {string} Parameter value, URL encoded by this function
+ * @returns {string}
+ */
+export function appendQueryParam(url, name, value) {
+    let sep = url.indexOf('?') === -1 ? '?' : '&';
+    return url + sep + encodeURIComponent(name) + '=' + encodeURIComponent(value);
+}
+
+/**
+ * Reports exception thrown by user code (callbacks, listeners) outside
+ * of the promise chain it was caught in, the way the platform reports
+ * exceptions of event listeners instead of an unhandled rejection.
+ * @param error {*}
+ */
+export function reportError(error) {
+    if (typeof globalThis.reportError === 'function') {
+        globalThis.reportError(error);
+        return;
+    }
+    setTimeout(function () {
+        throw error;
+    }, 0);
+}
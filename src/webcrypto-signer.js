@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Asynchronous request signing backed by WebCrypto.
+ *
+ * Produces the same itsdangerous compatible tokens as ChannelStreamSigner
+ * using `crypto.subtle` (browsers, Node.js, Deno and workers) instead of
+ * the bundled jsSHA library. Import this module directly to keep jsSHA
+ * out of bundles.
+ *
+ * @module webcrypto-signer
+ */
+
+import {
+    addTimestamp,
+    base64Encode,
+    ChannelStreamSignatureError,
+    checkTimestamp,
+    configureSigner,
+    constantTimeEquals,
+    hashStrip,
+    splitSignature
+} from "./signing.js";
+
+/**
+ * Encodes text as UTF-8 bytes.
+ * @param text {string}
+ * @returns {Uint8Array}
+ * @private
+ */
+function utf8(text) {
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * Asynchronous variant of ChannelStreamSigner, every method returns
+ * a Promise.
+ *
+ * @example
+ * const signer = new ChannelStreamWebCryptoSigner('your-secret-key');
+ * const token = await signer.signRequest();
+ */
+export class ChannelStreamWebCryptoSigner {
+
+    /**
+     * Creates a new signer with the shared secret.
+     * @param secret {string} Shared secret key (must match server configuration)
+     * @param [options] {object} Options matching itsdangerous Signer arguments
+     * @param [options.salt='itsdangerous.Signer'] {string} Salt
+     * @param [options.sep='.'] {string} Separator of value, timestamp and signature
+     * @param [options.keyDerivation='django-concat'] {string} One of
+     * `django-concat`, `concat`, `hmac` or `none`
+     * @param [options.digestMethod='SHA-1'] {string} One of `SHA-1`,
+     * `SHA-256` or `SHA-512`
+     * @param [options.subtle] {SubtleCrypto} WebCrypto implementation,
+     * defaults to `crypto.subtle`
+     */
+    constructor(secret, options) {
+        configureSigner(this, secret, options);
+        /** SubtleCrypto used for hashing. */
+        this.subtle = (options && options.subtle) || (globalThis.crypto && globalThis.crypto.subtle) || null;
+        /** Imported signing key, reused while key settings don't change. */
+        this._key = null;
+        this._keySettings = null;
+    }
+
+    /**
+     * Whether WebCrypto is available in this environment.
+     * @returns {boolean}
+     */
+    static get supported() {
+        return !!(globalThis.crypto && globalThis.crypto.subtle);
+    }
+
+    /**
+     * Derives the raw signing key from secret and salt.
+     * @returns {Promise<ArrayBuffer|Uint8Array>}
+     * @private
+     */
+    deriveKey() {
+        if (this.keyDerivation === 'none') {
+            return Promise.resolve(utf8(this.secret));
+        }
+        if (this.keyDerivation === 'hmac') {
+            return this._importKey(utf8(this.secret)).then(function (secretKey) {
+                return this.subtle.sign('HMAC', secretKey, utf8(this.salt));
+            }.bind(this));
+        }
+        let signer = this.keyDerivation === 'django-concat' ? 'signer' : '';
+        return this.subtle.digest(this.digestMethod, utf8(this.salt + signer + this.secret));
+    }
+
+    /**
+     * Returns URL-safe base64 HMAC signature of the value.
+     * @param value {string}
+     * @returns {Promise<string>}
+     */
+    getSignature(value) {
+        if (!this.subtle) {
+            return Promise.reject(new Error('WebCrypto is not available, use ChannelStreamSigner'));
+        }
+        let settings = [this.secret, this.salt, this.keyDerivation, this.digestMethod].join('\n');
+        if (!this._key || this._keySettings !== settings) {
+            this._keySettings = settings;
+            this._key = this.deriveKey().then(this._importKey.bind(this));
+        }
+        return this._key.then(function (key) {
+            return this.subtle.sign('HMAC', key, utf8(value));
+        }.bind(this)).then(function (signature) {
+            let binary = String.fromCharCode.apply(null, new Uint8Array(signature));
+            return hashStrip(base64Encode(binary));
+        });
+    }
+
+    /**
+     * Signs the value together with current timestamp.
+     * Token format: {value}.{timestamp}.{signature}
+     * @param value {string} Value to sign
+     * @returns {Promise<string>} Signed value
+     */
+    sign(value) {
+        let timed = addTimestamp(value, this.sep);
+        return this.getSignature(timed).then(function (signature) {
+            return timed + this.sep + signature;
+        }.bind(this));
+    }
+
+    /**
+     * Verifies signed value and returns the original value.
+     * @param signedValue {string} Value returned by sign() or itsdangerous
+     * TimestampSigner.sign()
+     * @param [maxAge] {number} Maximum age of the signature in seconds
+     * @returns {Promise<string>} The original value, rejects with
+     * ChannelStreamSignatureError or ChannelStreamSignatureExpired
+     */
+    unsign(signedValue, maxAge) {
+        let parts;
+        try {
+            parts = splitSignature(signedValue, this.sep);
+        } catch (exc) {
+            return Promise.reject(exc);
+        }
+        return this.getSignature(parts.timed).then(function (expected) {
+            if (!constantTimeEquals(parts.signature, expected)) {
+                throw new ChannelStreamSignatureError('Signature "' + parts.signature + '" does not match', parts.timed);
+            }
+            return checkTimestamp(parts.timed, this.sep, maxAge);
+        }.bind(this));
+    }
+
+    /**
+     * Checks whether signed value is valid (and not older than `maxAge`).
+     * @param signedValue {string}
+     * @param [maxAge] {number} Maximum age of the signature in seconds
+     * @returns {Promise<boolean>}
+     */
+    validate(signedValue, maxAge) {
+        return this.unsign(signedValue, maxAge).then(function () {
+            return true;
+        }, function (exc) {
+            if (exc instanceof ChannelStreamSignatureError) {
+                return false;
+            }
+            throw exc;
+        });
+    }
+
+    /**
+     * Generates a signed token for API authentication.
+     * Token format: channelstream.{timestamp}.{hmac_signature}
+     * @returns {Promise<string>} Signed token for use in API requests
+     */
+    signRequest() {
+        return this.sign('channelstream');
+    }
+
+    /**
+     *
+     * @param raw {ArrayBuffer|Uint8Array}
+     * @returns {Promise<CryptoKey>}
+     * @private
+     */
+    _importKey(raw) {
+        return this.subtle.importKey('raw', raw, {name: 'HMAC', hash: this.digestMethod}, false, ['sign']);
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Channel history and gap recovery of ChannelStreamConnection, with fake
+ * WebSocket and fetch implementations.
+ */
+
+import {afterEach, beforeEach, describe, test} from "node:test";
+import assert from "node:assert/strict";
+import {ChannelStreamConnection} from "../src/channelstream.js";
+
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function timestamp(n) {
+    return new Date(Date.UTC(2024, 0, 1, 0, 0, n)).toISOString();
+}
+
+function message(n) {
+    return {type: 'message', channel: 'lobby', uuid: 'u' + n, timestamp: timestamp(n), message: {n: n}};
+}
+
+function numbers(messages) {
+    return messages.map(function (item) {
+        return item.message.n;
+    });
+}
+
+class FakeWebSocket {
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        FakeWebSocket.last = this;
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen({type: 'open'});
+    }
+
+    receive(messages) {
+        this.onmessage({data: JSON.stringify(messages)});
+    }
+
+    drop() {
+        this.readyState = 3;
+        this.onclose({type: 'close'});
+    }
+
+    send() {
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+}
+
+/**
+ * Fake backend, `history` holds the messages stored by the server and
+ * `connectHistory` those included in connect responses (null leaves
+ * history out). History pages hold at most `pageSize` messages and are
+ * answered after `historyDelay` ms.
+ */
+class FakeBackend {
+
+    constructor() {
+        this.history = [];
+        this.connectHistory = null;
+        this.historyRequests = [];
+        this.pageSize = 50;
+        this.historyDelay = 0;
+        this.fetch = this.fetch.bind(this);
+    }
+
+    fetch(url, init) {
+        let body = init.body ? JSON.parse(init.body) : null;
+        let data;
+        if (url === '/connect') {
+            let channel = {users: []};
+            if (this.connectHistory) {
+                channel.history = this.connectHistory;
+            }
+            data = {conn_id: 'c1', channels: ['lobby'], channels_info: {users: [], channels: {lobby: channel}}};
+        } else if (url === '/history') {
+            this.historyRequests.push(body);
+            let older = this.history.filter(function (item) {
+                return body.before === null || item.timestamp < body.before;
+            });
+            let messages = older.slice(-Math.min(body.limit, this.pageSize));
+            data = {messages: messages.slice().reverse(), has_more: older.length > messages.length};
+        }
+        return wait(url === '/history' ? this.historyDelay : 0).then(function () {
+            return new Response(JSON.stringify(data));
+        });
+    }
+}
+
+let connections = [];
+let reported = [];
+let realReportError = globalThis.reportError;
+
+/**
+ * @param backend {FakeBackend}
+ * @returns {ChannelStreamConnection}
+ */
+function createConnection(backend) {
+    let conn = new ChannelStreamConnection();
+    conn.connectUrl = '/connect';
+    conn.historyUrl = '/history';
+    conn.websocketUrl = 'ws://localhost/ws';
+    conn.websocketImpl = FakeWebSocket;
+    conn.fetchImpl = backend.fetch;
+    conn.heartbeats = false;
+    conn.networkAware = false;
+    conn.reconnectStrategy = {
+        next: function () {
+            return 0;
+        },
+        reset: function () {
+        }
+    };
+    connections.push(conn);
+    return conn;
+}
+
+beforeEach(function () {
+    reported = [];
+    globalThis.reportError = function (error) {
+        reported.push(error);
+    };
+});
+
+afterEach(function () {
+    globalThis.reportError = realReportError;
+    for (let conn of connections) {
+        conn.closeConnection();
+    }
+    connections = [];
+});
+
+describe('fetchHistory', function () {
+
+    test('resolves with the page and emits it', async function () {
+        let backend = new FakeBackend();
+        backend.history = [1, 2, 3].map(message);
+        let conn = createConnection(backend);
+        let pages = [];
+        conn.on('history', function (page) {
+            pages.push(page);
+        });
+        let page = await conn.fetchHistory('lobby', {limit: 2});
+        assert.deepEqual(numbers(page.messages), [2, 3]);
+        assert.equal(page.hasMore, true);
+        assert.deepEqual(pages, [page]);
+        page = await conn.fetchHistory('lobby');
+        assert.deepEqual(numbers(page.messages), [1]);
+        assert.equal(backend.historyRequests[1].before, timestamp(2));
+    });
+
+    test('resolves when historyCallback throws', async function () {
+        let backend = new FakeBackend();
+        backend.history = [message(1)];
+        let conn = createConnection(backend);
+        conn.historyCallback = function () {
+            throw new Error('listener failed');
+        };
+        let page = await conn.fetchHistory('lobby');
+        assert.deepEqual(numbers(page.messages), [1]);
+        await wait(0);
+        assert.deepEqual(reported.map(function (error) {
+            return error.message;
+        }), ['listener failed']);
+    });
+});
+
+/**
+ * Connects, delivers `delivered` messages, drops the connection and
+ * waits for the reconnect.
+ * @param conn {ChannelStreamConnection}
+ * @param delivered {object[]}
+ */
+async function reconnectAfter(conn, delivered) {
+    await conn.connect();
+    FakeWebSocket.last.open();
+    FakeWebSocket.last.receive(delivered);
+    FakeWebSocket.last.drop();
+    await wait(10);
+    FakeWebSocket.last.open();
+}
+
+describe('gap detection', function () {
+
+    test('reports gap when connect returns no history', async function () {
+        let backend = new FakeBackend();
+        let conn = createConnection(backend);
+        let gaps = [];
+        conn.on('messageGap', function (gap) {
+            gaps.push(gap);
+        });
+        await reconnectAfter(conn, [message(1)]);
+        assert.deepEqual(gaps, [{channel: 'lobby', since: Date.parse(timestamp(1)), recovered: 0, complete: false}]);
+    });
+
+    test('reports empty history as incomplete', async function () {
+        let backend = new FakeBackend();
+        backend.connectHistory = [];
+        let conn = createConnection(backend);
+        conn.recoverGaps = true;
+        let gaps = [];
+        conn.on('messageGap', function (gap) {
+            gaps.push(gap);
+        });
+        await reconnectAfter(conn, [message(1)]);
+        assert.equal(gaps.length, 1);
+        assert.equal(gaps[0].complete, false);
+    });
+
+    test('reports missed messages without delivering them by default', async function () {
+        let backend = new FakeBackend();
+        backend.connectHistory = [1, 2, 3].map(message);
+        let conn = createConnection(backend);
+        let received = [];
+        let gaps = [];
+        conn.on('listenMessage', function (messages) {
+            received.push.apply(received, numbers(messages));
+        });
+        conn.on('messageGap', function (gap) {
+            gaps.push(gap);
+        });
+        await reconnectAfter(conn, [message(1)]);
+        assert.deepEqual(received, [1]);
+        assert.equal(gaps[0].recovered, 0);
+        assert.equal(gaps[0].complete, false);
+    });
+
+    test('delivers missed messages with recoverGaps', async function () {
+        let backend = new FakeBackend();
+        backend.connectHistory = [1, 2, 3].map(message);
+        let conn = createConnection(backend);
+        conn.recoverGaps = true;
+        let received = [];
+        let gaps = [];
+        conn.on('listenMessage', function (messages) {
+            received.push.apply(received, numbers(messages));
+        });
+        conn.on('messageGap', function (gap) {
+            gaps.push(gap);
+        });
+        await reconnectAfter(conn, [message(1)]);
+        assert.deepEqual(received, [1, 2, 3]);
+        assert.equal(gaps[0].recovered, 2);
+        assert.equal(gaps[0].complete, true);
+    });
+
+    test('fetches missed messages beyond connect history', async function () {
+        let backend = new FakeBackend();
+        backend.history = [1, 2, 3, 4, 5].map(message);
+        backend.connectHistory = [4, 5].map(message);
+        backend.pageSize = 2;
+        backend.historyDelay = 20;
+        let conn = createConnection(backend);
+        conn.recoverGaps = true;
+        let received = [];
+        let gaps = [];
+        conn.on('listenMessage', function (messages) {
+            received.push.apply(received, numbers(messages));
+        });
+        conn.on('messageGap', function (gap) {
+            gaps.push(gap);
+        });
+        await reconnectAfter(conn, [message(1)]);
+        // live message arriving during recovery is delivered after missed ones
+        FakeWebSocket.last.receive([message(6)]);
+        await wait(100);
+        assert.deepEqual(backend.historyRequests.map(function (request) {
+            return request.before;
+        }), [null, timestamp(4), timestamp(2)]);
+        assert.deepEqual(received, [1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(gaps, [{channel: 'lobby', since: Date.parse(timestamp(1)), recovered: 4, complete: true}]);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Replay of ChannelStreamOutboundQueue by ChannelStreamConnection, with
+ * fake WebSocket and fetch implementations.
+ */
+
+import {afterEach, describe, test} from "node:test";
+import assert from "node:assert/strict";
+import {ChannelStreamConnection} from "../src/channelstream.js";
+import {ChannelStreamOutboundQueue, MemoryQueueStorage} from "../src/queue.js";
+
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+class FakeWebSocket {
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        FakeWebSocket.last = this;
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen({type: 'open'});
+    }
+
+    send() {
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+}
+
+/**
+ * Fake backend recording message bodies in order of arrival. Messages
+ * are answered after `delay` ms, `fail(n)` makes next n of them fail
+ * with network error.
+ */
+class FakeBackend {
+
+    constructor() {
+        this.received = [];
+        this.delay = 5;
+        this.failures = 0;
+        this.fetch = this.fetch.bind(this);
+    }
+
+    fail(count) {
+        this.failures = count;
+    }
+
+    fetch(url, init) {
+        let body = init.body ? JSON.parse(init.body) : null;
+        if (url === '/connect') {
+            return Promise.resolve(new Response(JSON.stringify({conn_id: 'c1', channels: []})));
+        }
+        if (this.failures > 0) {
+            this.failures -= 1;
+            return Promise.reject(new TypeError('Failed to fetch'));
+        }
+        this.received.push(body);
+        return wait(this.delay).then(function () {
+            let result = Array.isArray(body) ? body.map(function (item) {
+                return {ok: item.message.n};
+            }) : {ok: body.message.n};
+            return new Response(JSON.stringify(result));
+        });
+    }
+}
+
+/**
+ * Returns connection using the fake backend and a memory queue.
+ * @param backend {FakeBackend}
+ * @returns {ChannelStreamConnection}
+ */
+function createConnection(backend) {
+    let conn = new ChannelStreamConnection();
+    conn.connectUrl = '/connect';
+    conn.messageUrl = '/message';
+    conn.websocketUrl = 'ws://localhost/ws';
+    conn.websocketImpl = FakeWebSocket;
+    conn.fetchImpl = backend.fetch;
+    conn.heartbeats = false;
+    conn.networkAware = false;
+    conn.outboundQueue = new ChannelStreamOutboundQueue(new MemoryQueueStorage());
+    connections.push(conn);
+    return conn;
+}
+
+function numbers(bodies) {
+    return bodies.map(function (body) {
+        return Array.isArray(body) ? numbers(body) : body.message.n;
+    });
+}
+
+let connections = [];
+
+afterEach(function () {
+    for (let conn of connections) {
+        conn.closeConnection();
+    }
+    connections = [];
+});
+
+describe('outbound queue replay', function () {
+
+    test('sends new messages after queued ones', async function () {
+        let backend = new FakeBackend();
+        let conn = createConnection(backend);
+        let sent = [1, 2, 3].map(function (n) {
+            return conn.message({channel: 'lobby', message: {n: n}});
+        });
+        assert.equal(conn.outboundQueue.size, 3);
+        await conn.connect();
+        FakeWebSocket.last.open();
+        // replay is still in progress
+        sent.push(conn.message({channel: 'lobby', message: {n: 4}}));
+        let results = await Promise.all(sent);
+        assert.deepEqual(numbers(backend.received), [1, 2, 3, 4]);
+        assert.deepEqual(results, [{ok: 1}, {ok: 2}, {ok: 3}, {ok: 4}]);
+        assert.equal(conn.outboundQueue.size, 0);
+        // queue is empty again, messages are sent directly
+        assert.deepEqual(await conn.message({channel: 'lobby', message: {n: 5}}), {ok: 5});
+        assert.equal(conn.outboundQueue.size, 0);
+    });
+
+    test('replays messages failing while connected without reconnecting', async function () {
+        let backend = new FakeBackend();
+        let conn = createConnection(backend);
+        await conn.connect();
+        FakeWebSocket.last.open();
+        backend.fail(1);
+        let sent = conn.message({channel: 'lobby', message: {n: 1}});
+        await wait(0);
+        assert.equal(conn.outboundQueue.size, 1);
+        // sent after the failed one, waits for its replay
+        let next = conn.message({channel: 'lobby', message: {n: 2}});
+        assert.deepEqual(await Promise.all([sent, next]), [{ok: 1}, {ok: 2}]);
+        assert.deepEqual(numbers(backend.received), [1, 2]);
+        assert.equal(conn.state, 'open');
+    });
+
+    test('queues batched messages failing with network error', async function () {
+        let backend = new FakeBackend();
+        let conn = createConnection(backend);
+        conn.batchMessages = true;
+        conn.batchWindow = 5;
+        let events = [];
+        conn.on('message', function (request, data) {
+            events.push(data);
+        });
+        await conn.connect();
+        FakeWebSocket.last.open();
+        backend.fail(1);
+        let sent = [1, 2].map(function (n) {
+            return conn.message({channel: 'lobby', message: {n: n}});
+        });
+        await wait(20);
+        assert.equal(conn.outboundQueue.size, 2);
+        assert.deepEqual(events, []);
+        assert.deepEqual(await Promise.all(sent), [{ok: 1}, {ok: 2}]);
+        // replayed one by one, each reported once
+        assert.deepEqual(numbers(backend.received), [1, 2]);
+        assert.deepEqual(events, [{ok: 1}, {ok: 2}]);
+    });
+});
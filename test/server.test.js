@@ -0,0 +1,232 @@
+/**
+ * ChannelStreamServerClient against a local stub of the Channelstream
+ * server REST API.
+ */
+
+import http from "node:http";
+import {after, before, beforeEach, describe, test} from "node:test";
+import assert from "node:assert/strict";
+import {ChannelStreamServerClient} from "../src/server.js";
+import {ChannelStreamSigner} from "../src/signer.js";
+import {ChannelStreamRequestError} from "../src/request.js";
+import {ChannelStreamConfigError} from "../src/channel-config.js";
+
+const SECRET = 'secret';
+
+/**
+ * Stub server recording requests, answering them with queued responses
+ * or echoing the request body. Requests with invalid signature are
+ * answered with 403 like the real server does.
+ */
+class StubServer {
+
+    constructor() {
+        this.requests = [];
+        this.responses = [];
+        this.verifier = new ChannelStreamSigner(SECRET);
+        this.server = http.createServer(this._handle.bind(this));
+    }
+
+    get url() {
+        return 'http://127.0.0.1:' + this.server.address().port;
+    }
+
+    listen() {
+        return new Promise(function (resolve) {
+            this.server.listen(0, '127.0.0.1', resolve);
+        }.bind(this));
+    }
+
+    close() {
+        return new Promise(function (resolve) {
+            this.server.close(resolve);
+        }.bind(this));
+    }
+
+    reset() {
+        this.requests = [];
+        this.responses = [];
+    }
+
+    /**
+     * Queues response of the next request.
+     * @param status {number}
+     * @param [body] {*} JSON response, the request body is echoed when missing
+     * @param [delay] {number} Milliseconds before responding
+     */
+    respond(status, body, delay) {
+        this.responses.push({status: status, body: body, delay: delay || 0});
+    }
+
+    _handle(req, res) {
+        let chunks = [];
+        req.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function () {
+            let body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : null;
+            this.requests.push({method: req.method, url: req.url, headers: req.headers, body: body});
+            let response = this.responses.shift() || {status: 200, delay: 0};
+            if (!this.verifier.validate(req.headers['x-channelstream-secret'] || '', 60)) {
+                response = {status: 403, body: {error: 'bad signature'}, delay: 0};
+            }
+            setTimeout(function () {
+                res.writeHead(response.status, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(typeof response.body !== 'undefined' ? response.body : body));
+            }, response.delay);
+        }.bind(this));
+    }
+}
+
+let stub = new StubServer();
+
+before(function () {
+    return stub.listen();
+});
+
+after(function () {
+    return stub.close();
+});
+
+beforeEach(function () {
+    stub.reset();
+});
+
+describe('ChannelStreamServerClient', function () {
+
+    test('sends signed JSON requests', async function () {
+        let client = new ChannelStreamServerClient(stub.url + '/', SECRET);
+        let data = await client.connect({username: 'alice', channels: ['lobby'], info: {include_users: true}});
+        assert.equal(stub.requests.length, 1);
+        let request = stub.requests[0];
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/connect');
+        assert.match(request.headers['content-type'], /application\/json/);
+        assert.ok(stub.verifier.validate(request.headers['x-channelstream-secret'], 60));
+        assert.deepEqual(request.body, {
+            username: 'alice',
+            channels: ['lobby'],
+            channel_configs: {},
+            fresh_user_state: false,
+            user_state: {},
+            state_public_keys: [],
+            info: {include_users: true}
+        });
+        assert.deepEqual(data, request.body);
+    });
+
+    test('uses HTTP verbs of the API', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET);
+        await client.message({channel: 'lobby', user: 'system', message: {text: 'Hi'}});
+        await client.edit({uuid: 'u1', channel: 'lobby', message: {text: 'Hello'}});
+        await client.delete({uuid: 'u1', channel: 'lobby'});
+        await client.disconnect('c1');
+        assert.deepEqual(stub.requests.map(function (request) {
+            return request.method + ' ' + request.url;
+        }), ['POST /message', 'PATCH /message', 'DELETE /message', 'POST /disconnect']);
+        assert.deepEqual(stub.requests[1].body, [{uuid: 'u1', channel: 'lobby', message: {text: 'Hello'}}]);
+    });
+
+    test('rejects requests signed with another secret', async function () {
+        let client = new ChannelStreamServerClient(stub.url, 'wrong');
+        await assert.rejects(client.info(), function (error) {
+            assert.ok(error instanceof ChannelStreamRequestError);
+            assert.equal(error.type, 'info');
+            assert.equal(error.status, 403);
+            assert.equal(error.reason, 'http');
+            assert.deepEqual(error.body, {error: 'bad signature'});
+            return true;
+        });
+    });
+
+    test('maps error responses to ChannelStreamRequestError', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET);
+        stub.respond(422, {channels: ['required']});
+        await assert.rejects(client.subscribe('c1', []), {
+            name: 'ChannelStreamRequestError',
+            type: 'subscribe',
+            status: 422,
+            reason: 'http',
+            body: {channels: ['required']}
+        });
+    });
+
+    test('reports timeouts', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET, {timeout: 20});
+        stub.respond(200, {}, 200);
+        await assert.rejects(client.info(), {type: 'info', status: 0, reason: 'timeout'});
+    });
+
+    test('reports network errors', async function () {
+        let closed = http.createServer();
+        await new Promise(function (resolve) {
+            closed.listen(0, '127.0.0.1', resolve);
+        });
+        let url = 'http://127.0.0.1:' + closed.address().port;
+        await new Promise(function (resolve) {
+            closed.close(resolve);
+        });
+        let client = new ChannelStreamServerClient(url, SECRET);
+        await assert.rejects(client.info(), {type: 'info', status: 0, reason: 'network'});
+    });
+
+    test('retries requests with the same idempotency key', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET, {
+            retryPolicies: {
+                message: {
+                    attempts: 3, backoff: function () {
+                        return 0;
+                    }
+                }
+            }
+        });
+        stub.respond(503, {error: 'unavailable'});
+        stub.respond(502, {error: 'unavailable'});
+        stub.respond(200, [{uuid: 'u1'}]);
+        let data = await client.message({channel: 'lobby', message: {}}, {idempotencyKey: 'op-1'});
+        assert.deepEqual(data, [{uuid: 'u1'}]);
+        assert.equal(stub.requests.length, 3);
+        for (let request of stub.requests) {
+            assert.equal(request.headers['idempotency-key'], 'op-1');
+            assert.ok(stub.verifier.validate(request.headers['x-channelstream-secret'], 60));
+        }
+    });
+
+    test('gives up after the attempts of the retry policy', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET, {
+            retryPolicies: {
+                info: {
+                    attempts: 2, backoff: function () {
+                        return 0;
+                    }
+                }
+            }
+        });
+        stub.respond(503, {error: 'unavailable'});
+        stub.respond(503, {error: 'still unavailable'});
+        stub.respond(200, {});
+        await assert.rejects(client.info(), {status: 503, body: {error: 'still unavailable'}});
+        assert.equal(stub.requests.length, 2);
+    });
+
+    test('does not retry without a policy', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET);
+        stub.respond(503, {error: 'unavailable'});
+        await assert.rejects(client.info(), {status: 503});
+        assert.equal(stub.requests.length, 1);
+        assert.equal(stub.requests[0].headers['idempotency-key'], undefined);
+    });
+
+    test('validates channel configuration before sending it', async function () {
+        let client = new ChannelStreamServerClient(stub.url, SECRET);
+        await assert.rejects(client.updateChannelConfig({lobby: {history_size: 'many'}}), ChannelStreamConfigError);
+        await assert.rejects(client.updateChannelConfig({lobby: {constructor: true}}),
+            {name: 'ChannelStreamConfigError', message: 'Unknown option "constructor" of channel "lobby"'});
+        assert.equal(stub.requests.length, 0);
+        stub.respond(200, {channels: {lobby: {name: 'lobby', store_history: true, history_size: 10, users: []}}});
+        let config = await client.updateChannelConfig({lobby: {store_history: true, history_size: 10}});
+        assert.deepEqual(stub.requests[0].body, {lobby: {store_history: true, history_size: 10}});
+        assert.equal(config.lobby.store_history, true);
+        assert.equal(config.lobby.history_size, 10);
+    });
+});
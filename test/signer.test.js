@@ -0,0 +1,135 @@
+/**
+ * Compatibility of the signers with Python's itsdangerous TimestampSigner.
+ *
+ * fixtures/itsdangerous.json was generated with itsdangerous 2.2.0 for
+ * every key derivation, digest method and salt, with secret `sekr€t` and
+ * timestamp 1700000000:
+ *
+ *     s = TimestampSigner('sekr€t', salt=salt, key_derivation=kd, digest_method=digest)
+ *     s.get_timestamp = lambda: 1700000000
+ *     token = s.sign(value).decode()
+ */
+
+import {readFileSync} from "node:fs";
+import {afterEach, beforeEach, describe, test} from "node:test";
+import assert from "node:assert/strict";
+import {ChannelStreamSigner} from "../src/signer.js";
+import {ChannelStreamWebCryptoSigner} from "../src/webcrypto-signer.js";
+import {ChannelStreamSignatureError, ChannelStreamSignatureExpired} from "../src/signing.js";
+
+const VECTORS = JSON.parse(readFileSync(new URL('./fixtures/itsdangerous.json', import.meta.url), 'utf8'));
+const SECRET = 'sekr€t';
+const SIGNED_AT = 1700000000;
+
+/**
+ * Freezes Date.now() the given number of seconds after SIGNED_AT.
+ * @param seconds {number}
+ */
+function setClock(seconds) {
+    Date.now = function () {
+        return (SIGNED_AT + seconds) * 1000;
+    };
+}
+
+function signerOptions(vector) {
+    return {salt: vector.salt, keyDerivation: vector.keyDerivation, digestMethod: vector.digestMethod};
+}
+
+let realNow = Date.now;
+
+beforeEach(function () {
+    setClock(0);
+});
+
+afterEach(function () {
+    Date.now = realNow;
+});
+
+describe('ChannelStreamSigner', function () {
+
+    test('signs like itsdangerous', function () {
+        for (let vector of VECTORS) {
+            let signer = new ChannelStreamSigner(SECRET, signerOptions(vector));
+            assert.equal(signer.sign(vector.value), vector.token, JSON.stringify(vector));
+        }
+    });
+
+    test('unsigns itsdangerous tokens', function () {
+        setClock(10);
+        for (let vector of VECTORS) {
+            let signer = new ChannelStreamSigner(SECRET, signerOptions(vector));
+            assert.equal(signer.unsign(vector.token, 10), vector.value, JSON.stringify(vector));
+        }
+    });
+
+    test('rejects tampered signatures', function () {
+        let signer = new ChannelStreamSigner(SECRET);
+        let token = VECTORS[0].token;
+        assert.throws(function () {
+            signer.unsign('other' + token.slice(token.indexOf('.')));
+        }, ChannelStreamSignatureError);
+        assert.throws(function () {
+            new ChannelStreamSigner('wrong').unsign(token);
+        }, ChannelStreamSignatureError);
+    });
+
+    test('rejects signatures older than maxAge', function () {
+        setClock(11);
+        let signer = new ChannelStreamSigner(SECRET);
+        assert.throws(function () {
+            signer.unsign(VECTORS[0].token, 10);
+        }, function (error) {
+            assert.ok(error instanceof ChannelStreamSignatureExpired);
+            assert.equal(error.message, 'Signature age 11 > 10 seconds');
+            assert.equal(error.dateSigned.getTime(), SIGNED_AT * 1000);
+            return true;
+        });
+    });
+
+    test('rejects signatures from the future', function () {
+        setClock(-5);
+        let signer = new ChannelStreamSigner(SECRET);
+        assert.throws(function () {
+            signer.unsign(VECTORS[0].token, 10);
+        }, {name: 'ChannelStreamSignatureExpired', message: 'Signature age -5 < 0 seconds'});
+    });
+
+    test('ignores timestamp without maxAge', function () {
+        setClock(100000);
+        let signer = new ChannelStreamSigner(SECRET);
+        assert.equal(signer.unsign(VECTORS[0].token), VECTORS[0].value);
+    });
+});
+
+describe('ChannelStreamWebCryptoSigner', function () {
+
+    test('signs like itsdangerous', async function () {
+        for (let vector of VECTORS) {
+            let signer = new ChannelStreamWebCryptoSigner(SECRET, signerOptions(vector));
+            assert.equal(await signer.sign(vector.value), vector.token, JSON.stringify(vector));
+        }
+    });
+
+    test('unsigns itsdangerous tokens', async function () {
+        setClock(10);
+        for (let vector of VECTORS) {
+            let signer = new ChannelStreamWebCryptoSigner(SECRET, signerOptions(vector));
+            assert.equal(await signer.unsign(vector.token, 10), vector.value, JSON.stringify(vector));
+        }
+    });
+
+    test('rejects tampered signatures', async function () {
+        let token = VECTORS[0].token;
+        await assert.rejects(new ChannelStreamWebCryptoSigner('wrong').unsign(token), ChannelStreamSignatureError);
+    });
+
+    test('rejects expired and future signatures', async function () {
+        let signer = new ChannelStreamWebCryptoSigner(SECRET);
+        setClock(11);
+        await assert.rejects(signer.unsign(VECTORS[0].token, 10),
+            {name: 'ChannelStreamSignatureExpired', message: 'Signature age 11 > 10 seconds'});
+        setClock(-5);
+        await assert.rejects(signer.unsign(VECTORS[0].token, 10),
+            {name: 'ChannelStreamSignatureExpired', message: 'Signature age -5 < 0 seconds'});
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Transport fallback of ChannelStreamConnection, with fake WebSocket,
+ * EventSource and fetch implementations.
+ */
+
+import {afterEach, describe, test} from "node:test";
+import assert from "node:assert/strict";
+import {ChannelStreamConnection} from "../src/channelstream.js";
+
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Fake listening connection, `open()`, `fail()` simulate the server.
+ */
+class FakeSocket {
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        FakeSocket.last = this;
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen({type: 'open'});
+    }
+
+    fail() {
+        this.readyState = 3;
+        if (this.onclose) {
+            this.onclose({type: 'close'});
+        } else {
+            this.onerror({type: 'error'});
+        }
+    }
+
+    send() {
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+}
+
+function fakeFetch() {
+    return Promise.resolve(new Response(JSON.stringify({conn_id: 'c1', channels: []})));
+}
+
+let connections = [];
+
+/**
+ * Returns connection preferring WebSocket with SSE fallback, reconnecting
+ * without delay.
+ * @returns {ChannelStreamConnection}
+ */
+function createConnection() {
+    let conn = new ChannelStreamConnection();
+    conn.connectUrl = '/connect';
+    conn.websocketUrl = 'ws://localhost/ws';
+    conn.sseUrl = 'http://localhost/sse';
+    conn.transports = ['websocket', 'sse'];
+    conn.websocketImpl = FakeSocket;
+    conn.eventSourceImpl = FakeSocket;
+    conn.fetchImpl = fakeFetch;
+    conn.heartbeats = false;
+    conn.networkAware = false;
+    conn.reconnectStrategy = {
+        next: function () {
+            return 0;
+        },
+        reset: function () {
+        }
+    };
+    connections.push(conn);
+    return conn;
+}
+
+afterEach(function () {
+    for (let conn of connections) {
+        conn.closeConnection();
+    }
+    connections = [];
+});
+
+describe('transport fallback', function () {
+
+    test('falls back when transport fails before opening', async function () {
+        let conn = createConnection();
+        await conn.connect();
+        assert.equal(conn.transport, 'websocket');
+        FakeSocket.last.fail();
+        await wait(10);
+        assert.equal(conn.transport, 'sse');
+        FakeSocket.last.open();
+        assert.equal(conn.state, 'open');
+    });
+
+    test('returns to preferred transport once fallback connection is lost', async function () {
+        let conn = createConnection();
+        await conn.connect();
+        FakeSocket.last.fail();
+        await wait(10);
+        FakeSocket.last.open();
+        FakeSocket.last.fail();
+        await wait(10);
+        assert.equal(conn.transport, 'websocket');
+    });
+
+    test('starts again from preferred transport when every transport failed', async function () {
+        let conn = createConnection();
+        await conn.connect();
+        FakeSocket.last.fail();
+        await wait(10);
+        assert.equal(conn.transport, 'sse');
+        FakeSocket.last.fail();
+        await wait(10);
+        assert.equal(conn.transport, 'websocket');
+    });
+
+    test('closed connection reconnects with preferred transport', async function () {
+        let conn = createConnection();
+        await conn.connect();
+        FakeSocket.last.fail();
+        await wait(10);
+        assert.equal(conn.transport, 'sse');
+        conn.closeConnection();
+        await conn.connect();
+        assert.equal(conn.transport, 'websocket');
+    });
+});